@@ -27,6 +27,8 @@ mkdir -p $1
 
 cp -r ./docs $1
 cp -r ./src $1
+cp -r ./bin $1
+cp testing.js $1
 cp LICENSE $1
 cp package.json $1
 cp README.md $1
@@ -0,0 +1,219 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const errors = require('./errors');
+const push = require('./push');
+const utils = require('./utils');
+
+const DEFAULT_CONCURRENCY = 10;
+
+/**
+ * Sends the same message to many subscriptions. The message is encrypted
+ * separately for each subscription, and no more than
+ * <code>options.concurrency</code> requests are in flight at once.
+ *
+ * The promise never rejects because of a failed send. Instead each
+ * subscription gets an entry in the report with a status of 'succeeded',
+ * 'gone' (the subscription has expired and should be deleted) or 'failed',
+ * and for failures the error and a reason, which is the error's code if it
+ * has one.
+ *
+ * @memberof web-push-encryption
+ * @param  {String|Buffer} message       The message to send
+ * @param  {Array<Object>} subscriptions The subscriptions to send it to
+ * @param  {Object} [options] The same options as sendWebPush(), plus the
+ *                            options below
+ * @param  {Number} [options.concurrency] The most requests to have in flight
+ *                                        at once. Defaults to 10.
+ * @param  {Number} [options.concurrencyPerOrigin] The most requests to have
+ *                                                 in flight to any one push
+ *                                                 service
+ * @return {Promise} A promise that resolves with the results, in the same
+ *                   order as the subscriptions, and the number of
+ *                   subscriptions that succeeded, are gone and failed
+ * @throws {ValidationError} If the subscriptions or concurrency options are
+ *                           invalid
+ */
+function sendWebPushBatch(message, subscriptions, options) {
+  if (!Array.isArray(subscriptions)) {
+    throw new errors.ValidationError('sendWebPushBatch() expects an array of ' +
+      'subscriptions.', 'invalid-subscriptions');
+  }
+
+  options = options || {};
+  const concurrency = options.concurrency === undefined ?
+    DEFAULT_CONCURRENCY : options.concurrency;
+  const perOrigin = options.concurrencyPerOrigin;
+  validateConcurrency(concurrency, 'concurrency');
+  if (perOrigin !== undefined) {
+    validateConcurrency(perOrigin, 'concurrencyPerOrigin');
+  }
+
+  return new Promise(resolve => {
+    const results = new Array(subscriptions.length);
+    const queues = createQueues(subscriptions);
+    let active = 0;
+    let finished = 0;
+
+    let next;
+    const start = queue => {
+      const index = queue.indexes[queue.next++];
+      if (queue.next === queue.indexes.length) {
+        queues.delete(queue.origin);
+      }
+      active++;
+      queue.active++;
+      sendOne(message, subscriptions[index], options).then(result => {
+        results[index] = result;
+        active--;
+        queue.active--;
+        finished++;
+        next();
+      });
+    };
+
+    // Finds the queue with the earliest subscription that can be sent to
+    // now, so that a push service at its limit doesn't hold up the others.
+    const nextQueue = () => {
+      let earliest = null;
+      queues.forEach(queue => {
+        if (perOrigin && queue.active >= perOrigin) {
+          return;
+        }
+        if (!earliest ||
+            queue.indexes[queue.next] < earliest.indexes[earliest.next]) {
+          earliest = queue;
+        }
+      });
+      return earliest;
+    };
+
+    next = () => {
+      if (finished === subscriptions.length) {
+        resolve(createReport(results));
+        return;
+      }
+
+      while (active < concurrency) {
+        const queue = nextQueue();
+        if (!queue) {
+          // Everything left is waiting for a request to its origin to finish
+          break;
+        }
+        start(queue);
+      }
+    };
+
+    next();
+  });
+}
+
+/**
+ * Queues the subscriptions of a batch by the origin of their endpoint, so
+ * that requests can be limited per push service.
+ *
+ * @private
+ * @param  {Array<Object>} subscriptions The subscriptions
+ * @return {Map} The queue for each origin, with the <code>indexes</code> of
+ *               its subscriptions, the position of the <code>next</code> one
+ *               to send and how many requests are <code>active</code>
+ */
+function createQueues(subscriptions) {
+  const queues = new Map();
+  subscriptions.forEach((subscription, index) => {
+    // Subscriptions without an endpoint fail in sendWebPush(), so they're
+    // queued together
+    const origin = subscription && typeof subscription.endpoint === 'string' ?
+      utils.getOrigin(subscription.endpoint) : '';
+    let queue = queues.get(origin);
+    if (!queue) {
+      queue = {origin: origin, indexes: [], next: 0, active: 0};
+      queues.set(origin, queue);
+    }
+    queue.indexes.push(index);
+  });
+  return queues;
+}
+
+/**
+ * Sends the message to one subscription of a batch.
+ *
+ * @private
+ * @param  {String|Buffer} message      The message to send
+ * @param  {Object}        subscription The subscription to send it to
+ * @param  {Object}        options      The options for sendWebPush()
+ * @return {Promise} A promise that always resolves with the result for this
+ *                   subscription
+ */
+function sendOne(message, subscription, options) {
+  // sendWebPush() throws for invalid input, which is reported like any other
+  // failure rather than stopping the batch.
+  return new Promise(resolve => {
+    resolve(push.sendWebPush(message, subscription, options));
+  })
+  .then(response => {
+    return {
+      subscription: subscription,
+      status: 'succeeded',
+      response: response
+    };
+  }, err => {
+    return {
+      subscription: subscription,
+      status: err instanceof errors.SubscriptionGoneError ? 'gone' : 'failed',
+      error: err,
+      reason: (err && (err.code || err.message)) || String(err)
+    };
+  });
+}
+
+/**
+ * Counts the results of a batch by status.
+ *
+ * @private
+ * @param  {Array<Object>} results The result for each subscription
+ * @return {Object} The report returned by sendWebPushBatch()
+ */
+function createReport(results) {
+  const count = status => results.filter(result => {
+    return result.status === status;
+  }).length;
+
+  return {
+    results: results,
+    succeeded: count('succeeded'),
+    gone: count('gone'),
+    failed: count('failed')
+  };
+}
+
+/**
+ * @private
+ * @param  {Number} value The concurrency limit
+ * @param  {String} name  The name of the option, for the error message
+ * @throws {ValidationError} If the limit isn't a positive whole number
+ */
+function validateConcurrency(value, name) {
+  if (typeof value !== 'number' || value < 1 ||
+      Math.floor(value) !== value) {
+    throw new errors.ValidationError(`${name} must be a whole number of at ` +
+      `least 1.`, 'invalid-concurrency');
+  }
+}
+
+module.exports = {sendWebPushBatch};
@@ -0,0 +1,488 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const library = require('./index');
+const errors = require('./errors');
+
+const USAGE = `Usage: web-push-encryption <command> [options]
+
+Commands:
+  send                   Encrypt a message and send it to a subscription
+  encrypt                Print the request that send would make
+  decrypt                Decrypt a message body, as a browser would
+  generate-vapid-keys    Create a new VAPID key pair
+  validate-subscription  Check a subscription for problems
+
+Options for send and encrypt:
+  --subscription <file>  The subscription JSON. Reads stdin if omitted or '-'
+  --payload <text>       The message to send
+  --ttl <seconds>        How long the push service should keep the message
+  --urgency <urgency>    One of very-low, low, normal or high
+  --topic <topic>        Replaces undelivered messages with the same topic
+  --encoding <encoding>  aes128gcm, aesgcm or aesgcm128
+  --vapid-subject <url>  A mailto: or https: URL to contact you on
+  --vapid-public-key <key>
+  --vapid-private-key <key>
+  --gcm-api-key <key>
+  --timeout <ms>         How long to wait for the push service (send only)
+  --proxy <url>          An HTTP proxy to send through (send only)
+
+Options for decrypt:
+  --body <base64>        The message body. Reads stdin if omitted
+  --private-key <key>    The subscription's private key
+  --auth-secret <secret> The subscription's auth secret
+  --encoding <encoding>  aes128gcm, aesgcm or aesgcm128
+  --salt <salt>          The salt, for aesgcm and aesgcm128
+  --dh <key>             The server's public key, for aesgcm and aesgcm128
+
+Options for generate-vapid-keys:
+  --format <format>      base64 (the default), jwk or pem
+
+Options for validate-subscription:
+  --subscription <file>  The subscription JSON. Reads stdin if omitted or '-'
+
+Every command accepts --json to print JSON instead of text.
+
+Exit codes:
+  0  Success              5  The subscription has expired
+  1  Unexpected error     6  The push service rejected the credentials
+  2  Invalid arguments    7  The payload is too large
+  3  Invalid input        8  Rate limited by the push service
+  4  Decryption failed    9  The push service rejected the request
+                          10 The push service failed
+`;
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// The exit code for each type of error. Any other error exits with
+// EXIT_FAILURE.
+const EXIT_CODES = [
+  [errors.ValidationError, 3],
+  [errors.DecryptionError, 4],
+  [errors.SubscriptionGoneError, 5],
+  [errors.AuthenticationError, 6],
+  [errors.PayloadTooLargeError, 7],
+  [errors.RateLimitedError, 8],
+  [errors.InvalidRequestError, 9],
+  [errors.PushServiceError, 10]
+];
+
+const MESSAGE_OPTIONS = ['subscription', 'payload', 'ttl', 'urgency', 'topic',
+  'encoding', 'vapid-subject', 'vapid-public-key', 'vapid-private-key',
+  'gcm-api-key'];
+
+const COMMANDS = {
+  'send': {
+    options: MESSAGE_OPTIONS.concat(['timeout', 'proxy']),
+    run: send
+  },
+  'encrypt': {
+    options: MESSAGE_OPTIONS,
+    run: encrypt
+  },
+  'decrypt': {
+    options: ['body', 'private-key', 'auth-secret', 'encoding', 'salt', 'dh'],
+    run: decrypt
+  },
+  'generate-vapid-keys': {
+    options: ['format'],
+    run: generateVAPIDKeys
+  },
+  'validate-subscription': {
+    options: ['subscription'],
+    run: validateSubscription
+  }
+};
+
+/**
+ * Runs the web-push-encryption command line tool.
+ *
+ * @private
+ * @param  {Array<String>} args The arguments, without the node and script
+ *                              paths
+ * @param  {Object} [io] Where to read and write, which defaults to the
+ *                       process's stdin, stdout and stderr
+ * @param  {stream.Readable} [io.stdin] Where to read input from
+ * @param  {stream.Writable} [io.stdout] Where to write results to
+ * @param  {stream.Writable} [io.stderr] Where to write errors to
+ * @param  {Function} [io.transport] The transport for send to use
+ * @return {Promise} A promise that resolves with the exit code
+ */
+function run(args, io) {
+  io = Object.assign({
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr
+  }, io);
+
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (err) {
+    io.stderr.write(`${err.message}\n\n${USAGE}`);
+    return Promise.resolve(EXIT_USAGE);
+  }
+
+  if (parsed.help) {
+    io.stdout.write(USAGE);
+    return Promise.resolve(EXIT_SUCCESS);
+  }
+
+  return Promise.resolve()
+  .then(() => COMMANDS[parsed.command].run(parsed.options, io))
+  .then(result => {
+    io.stdout.write(parsed.json ?
+      `${JSON.stringify(result.json, null, 2)}\n` : result.text);
+    return result.exitCode || EXIT_SUCCESS;
+  })
+  .catch(err => {
+    const exitCode = getExitCode(err);
+    if (parsed.json) {
+      io.stderr.write(`${JSON.stringify({error: describeError(err)},
+        null, 2)}\n`);
+    } else {
+      io.stderr.write(`${err.name || 'Error'}: ${err.message}\n`);
+    }
+    return exitCode;
+  });
+}
+
+/**
+ * Reads the command and its options.
+ *
+ * @private
+ * @param  {Array<String>} args The command line arguments
+ * @return {Object} The command, its options, and whether --json or --help
+ *                  were passed
+ * @throws {Error} If the arguments are invalid
+ */
+function parseArgs(args) {
+  const parsed = {options: {}, json: false, help: false};
+  let i = 0;
+
+  while (i < args.length) {
+    const arg = args[i++];
+    if (arg === '--json') {
+      parsed.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else if (arg.startsWith('--')) {
+      const equals = arg.indexOf('=');
+      const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+      let value;
+      if (equals !== -1) {
+        value = arg.slice(equals + 1);
+      } else if (i < args.length) {
+        value = args[i++];
+      } else {
+        throw new Error(`--${name} needs a value.`);
+      }
+      parsed.options[name] = value;
+    } else if (parsed.command === undefined) {
+      parsed.command = arg;
+    } else {
+      throw new Error(`Unexpected argument '${arg}'.`);
+    }
+  }
+
+  if (parsed.help) {
+    return parsed;
+  }
+
+  const command = COMMANDS[parsed.command];
+  if (!command) {
+    throw new Error(parsed.command === undefined ? 'No command given.' :
+      `Unknown command '${parsed.command}'.`);
+  }
+
+  Object.keys(parsed.options).forEach(name => {
+    if (command.options.indexOf(name) === -1) {
+      throw new Error(`${parsed.command} doesn't accept --${name}.`);
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * @private
+ * @param  {Error} err The error that stopped the command
+ * @return {number} The exit code for the error
+ */
+function getExitCode(err) {
+  for (let i = 0; i < EXIT_CODES.length; i++) {
+    if (err instanceof EXIT_CODES[i][0]) {
+      return EXIT_CODES[i][1];
+    }
+  }
+  return EXIT_FAILURE;
+}
+
+/**
+ * @private
+ * @param  {Error} err The error that stopped the command
+ * @return {Object} The details of the error to print as JSON
+ */
+function describeError(err) {
+  const description = {
+    name: err.name || 'Error',
+    code: err.code,
+    message: err.message
+  };
+  ['field', 'statusCode', 'body', 'retryAfter', 'attempts'].forEach(name => {
+    if (err[name] !== undefined) {
+      description[name] = err[name];
+    }
+  });
+  return description;
+}
+
+/**
+ * Reads a file, or stdin if the path is missing or '-'.
+ *
+ * @private
+ * @param  {String} path The path to read
+ * @param  {Object} io   Where to read stdin from
+ * @return {Promise} A promise that resolves with the contents as a String
+ */
+function readInput(path, io) {
+  if (path && path !== '-') {
+    return new Promise((resolve, reject) => {
+      fs.readFile(path, 'utf8', (err, data) => err ? reject(err) :
+        resolve(data));
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    io.stdin.on('data', chunk => chunks.push(new Buffer(chunk)));
+    io.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    io.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Reads a number option.
+ *
+ * @private
+ * @param  {Object} options The parsed options
+ * @param  {String} name    The name of the option
+ * @return {number|undefined} The value, or undefined if it wasn't passed
+ * @throws {ValidationError} If the value isn't a number
+ */
+function readNumber(options, name) {
+  if (options[name] === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(options[name])) {
+    throw new errors.ValidationError(`--${name} must be a whole number.`,
+      `invalid-${name}`);
+  }
+  return parseInt(options[name], 10);
+}
+
+/**
+ * Reads the subscription and turns the options for send and encrypt into
+ * options for the library.
+ *
+ * @private
+ * @param  {Object} options The parsed options
+ * @param  {Object} io      Where to read stdin from
+ * @return {Promise} A promise that resolves with the subscription and the
+ *                   library options
+ */
+function readMessageOptions(options, io) {
+  return readInput(options.subscription, io)
+  .then(input => {
+    const messageOptions = {
+      ttl: readNumber(options, 'ttl'),
+      urgency: options.urgency,
+      topic: options.topic,
+      encoding: options.encoding,
+      gcmAPIKey: options['gcm-api-key']
+    };
+
+    if (options['vapid-subject'] || options['vapid-public-key'] ||
+        options['vapid-private-key']) {
+      messageOptions.vapidDetails = {
+        subject: options['vapid-subject'],
+        publicKey: options['vapid-public-key'],
+        privateKey: options['vapid-private-key']
+      };
+    }
+
+    return {
+      subscription: library.parseSubscription(input),
+      options: messageOptions
+    };
+  });
+}
+
+/**
+ * The send command.
+ *
+ * @private
+ * @param  {Object} options The parsed options
+ * @param  {Object} io      Where to read stdin from
+ * @return {Promise} A promise that resolves with the result to print
+ */
+function send(options, io) {
+  return readMessageOptions(options, io)
+  .then(message => {
+    return library.sendWebPush(options.payload, message.subscription,
+      Object.assign(message.options, {
+        timeout: readNumber(options, 'timeout'),
+        proxy: options.proxy,
+        transport: io.transport
+      }));
+  })
+  .then(result => {
+    const json = {statusCode: result.statusCode, attempts: result.attempts};
+    if (result.ttl !== undefined) {
+      json.ttl = result.ttl;
+    }
+    if (result.location !== undefined) {
+      json.location = result.location;
+    }
+    return {
+      json: json,
+      text: `Sent, the push service responded with ${result.statusCode}.\n`
+    };
+  });
+}
+
+/**
+ * The encrypt command.
+ *
+ * @private
+ * @param  {Object} options The parsed options
+ * @param  {Object} io      Where to read stdin from
+ * @return {Promise} A promise that resolves with the result to print
+ */
+function encrypt(options, io) {
+  return readMessageOptions(options, io)
+  .then(message => {
+    const details = library.generateRequestDetails(options.payload,
+      message.subscription, message.options);
+    const body = details.body ? details.body.toString('base64') : '';
+    const headers = Object.keys(details.headers)
+      .map(name => `${name}: ${details.headers[name]}\n`).join('');
+
+    return {
+      json: {
+        method: details.method,
+        endpoint: details.endpoint,
+        headers: details.headers,
+        body: body
+      },
+      text: `${details.method} ${details.endpoint}\n${headers}\n${body}\n`
+    };
+  });
+}
+
+/**
+ * The decrypt command.
+ *
+ * @private
+ * @param  {Object} options The parsed options
+ * @param  {Object} io      Where to read stdin from
+ * @return {Promise} A promise that resolves with the result to print
+ */
+function decrypt(options, io) {
+  const body = options.body === undefined ?
+    readInput('-', io) : Promise.resolve(options.body);
+
+  return body.then(input => {
+    if (!options['private-key'] ||
+        (!options['auth-secret'] && options.encoding !== 'aesgcm128')) {
+      throw new errors.ValidationError('decrypt needs --private-key and ' +
+        '--auth-secret.', 'missing-keys');
+    }
+
+    const payload = library.decrypt(new Buffer(input.trim(), 'base64'), {
+      privateKey: options['private-key'],
+      authSecret: options['auth-secret'],
+      encoding: options.encoding,
+      salt: options.salt,
+      serverPublicKey: options.dh
+    });
+
+    return {
+      json: {payload: payload.toString('utf8')},
+      text: `${payload.toString('utf8')}\n`
+    };
+  });
+}
+
+/**
+ * The generate-vapid-keys command.
+ *
+ * @private
+ * @param  {Object} options The parsed options
+ * @return {Object} The result to print
+ */
+function generateVAPIDKeys(options) {
+  const format = options.format || 'base64';
+  const keys = library.exportVAPIDKeys(library.generateVAPIDKeys(), format);
+
+  if (format === 'pem') {
+    return {json: {pem: keys}, text: keys};
+  }
+  if (format === 'jwk') {
+    return {json: keys, text: `${JSON.stringify(keys, null, 2)}\n`};
+  }
+  return {
+    json: keys,
+    text: `Public Key:\n${keys.publicKey}\n\nPrivate Key:\n` +
+      `${keys.privateKey}\n`
+  };
+}
+
+/**
+ * The validate-subscription command.
+ *
+ * @private
+ * @param  {Object} options The parsed options
+ * @param  {Object} io      Where to read stdin from
+ * @return {Promise} A promise that resolves with the result to print
+ */
+function validateSubscription(options, io) {
+  return readInput(options.subscription, io)
+  .then(input => {
+    const problems = library.validateSubscription(input);
+    if (problems.length === 0) {
+      const subscription = library.parseSubscription(input);
+      return {
+        json: {valid: true, errors: [], subscription: subscription},
+        text: `The subscription for ${subscription.endpoint} is valid.\n`
+      };
+    }
+
+    return {
+      json: {valid: false, errors: problems.map(describeError)},
+      text: problems.map(err => `${err.field || 'subscription'}: ` +
+        `${err.message}\n`).join(''),
+      exitCode: getExitCode(problems[0])
+    };
+  });
+}
+
+module.exports = {run};
@@ -0,0 +1,230 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const batch = require('./batch');
+const encryption = require('./encrypt');
+const errors = require('./errors');
+const pool = require('./pool');
+const push = require('./push');
+const sendQueue = require('./send-queue');
+const store = require('./subscription-store');
+
+/**
+ * Sends push messages with its own credentials and default options, so that
+ * one process can send for several applications at once. The functions
+ * exported by this module use a default client.
+ *
+ * Options passed to each method are merged over the client's defaults, and
+ * can override the client's gcmAPIKey, vapidDetails and transport.
+ *
+ * The client emits 'encrypt:start', 'encrypt:end', 'request:start',
+ * 'response', 'retry' and 'subscription:gone' events for every message it
+ * sends, which can be used to collect metrics for each push service. See the
+ * events option of sendWebPush(). Endpoints are redacted to their origin
+ * unless the redactEndpoints option is false.
+ *
+ * @memberof web-push-encryption
+ */
+class WebPushClient extends EventEmitter {
+  /**
+   * @param {Object}   [config] The configuration for this client
+   * @param {String}   [config.gcmAPIKey] The GCM API key to send with
+   * @param {Object}   [config.vapidDetails] The VAPID details to send with.
+   *                                         See getVapidHeaders().
+   * @param {Function} [config.transport] The transport to send requests
+   *                                      with. See httpsTransport().
+   * @param {Object}   [config.defaults] Default options for every message,
+   *                                     such as ttl, encoding or padding
+   * @throws {ValidationError} If the GCM API key is invalid
+   */
+  constructor(config) {
+    super();
+    config = config || {};
+    this.vapidDetails = config.vapidDetails;
+    this.transport = config.transport;
+    this.defaults = Object.assign({}, config.defaults);
+    if (config.gcmAPIKey !== undefined) {
+      this.setGCMAPIKey(config.gcmAPIKey);
+    }
+  }
+
+  /**
+   * Set the key to use in the Authentication header for GCM requests
+   * @param {String} key The API key to use
+   * @throws {Error} If the key is invalid
+   */
+  setGCMAPIKey(key) {
+    if (typeof key !== 'string' || !key.startsWith('AIza') ||
+        key.length !== 40) {
+      throw new errors.ValidationError('expected Server API Key in the form ' +
+        'AIza..., 40 characters long', 'invalid-gcm-api-key');
+    }
+    this.gcmAPIKey = key;
+  }
+
+  /**
+   * Encrypts a message. See encrypt().
+   *
+   * @param  {String|Buffer} message      The message to encrypt
+   * @param  {Object}        subscription The subscription to encrypt it for
+   * @param  {Object|Number} [options]    Options for encrypting the message
+   * @return {Object} The ciphertext, salt and serverPublicKey
+   */
+  encrypt(message, subscription, options) {
+    return encryption.encrypt(message, subscription,
+      this.createOptions(options));
+  }
+
+  /**
+   * Encrypts a message without blocking the event loop. See encryptAsync().
+   *
+   * @param  {String|Buffer} message      The message to encrypt
+   * @param  {Object}        subscription The subscription to encrypt it for
+   * @param  {Object|Number} [options]    Options for encrypting the message
+   * @return {Promise} A promise that resolves with the ciphertext, salt and
+   *                   serverPublicKey
+   */
+  encryptAsync(message, subscription, options) {
+    return pool.encryptAsync(message, subscription,
+      this.createOptions(options));
+  }
+
+  /**
+   * Builds the request for a message without sending it. See
+   * generateRequestDetails().
+   *
+   * @param  {String|Buffer} message      The message to send
+   * @param  {Object}        subscription The subscription to send it to
+   * @param  {Object|Number} [options]    Options for the message
+   * @return {Object} The method, endpoint, headers and body of the request
+   */
+  generateRequestDetails(message, subscription, options) {
+    return push.generateRequestDetails(message, subscription,
+      this.createOptions(options));
+  }
+
+  /**
+   * Sends a message. See sendWebPush().
+   *
+   * @param  {String|Buffer} message      The message to send
+   * @param  {Object}        subscription The subscription to send it to
+   * @param  {Object|Number} [options]    Options for the message
+   * @return {Promise} A promise that resolves with the push service's
+   *                   response
+   */
+  send(message, subscription, options) {
+    return push.sendWebPush(message, subscription,
+      this.createOptions(options));
+  }
+
+  /**
+   * Cancels a message that hasn't been delivered yet. See cancelWebPush().
+   *
+   * @param  {String} location  The location of the message, from the result
+   *                            of send()
+   * @param  {Object} [options] Options for the request
+   * @return {Promise} A promise that resolves with whether the message was
+   *                   cancelled
+   */
+  cancel(location, options) {
+    return push.cancelWebPush(location, this.createOptions(options));
+  }
+
+  /**
+   * Sends a message to many subscriptions. See sendWebPushBatch().
+   *
+   * @param  {String|Buffer} message       The message to send
+   * @param  {Array<Object>} subscriptions The subscriptions to send it to
+   * @param  {Object}        [options]     Options for the message and batch
+   * @return {Promise} A promise that resolves with the report for the batch
+   */
+  sendBatch(message, subscriptions, options) {
+    return batch.sendWebPushBatch(message, subscriptions,
+      this.createOptions(options));
+  }
+
+  /**
+   * Creates a queue that sends with this client and paces the messages to
+   * each push service. See SendQueue.
+   *
+   * @param  {Object} [options] The options for the SendQueue
+   * @return {SendQueue} The queue
+   */
+  createSendQueue(options) {
+    return new sendQueue.SendQueue(Object.assign({
+      send: this.send.bind(this)
+    }, options));
+  }
+
+  /**
+   * Sends a message to every subscription a user has in a store. See
+   * sendToUser().
+   *
+   * @param  {SubscriptionStore} subscriptionStore The store to use
+   * @param  {String}        user    The ID of the user
+   * @param  {String|Buffer} message The message to send
+   * @param  {Object}        [options] Options for the message and batch
+   * @return {Promise} A promise that resolves with the report for the batch
+   */
+  sendToUser(subscriptionStore, user, message, options) {
+    return store.sendToUser(subscriptionStore, user, message,
+      this.createOptions(options));
+  }
+
+  /**
+   * Sends a message to every subscription with a tag in a store. See
+   * sendToTag().
+   *
+   * @param  {SubscriptionStore} subscriptionStore The store to use
+   * @param  {String}        tag     The tag
+   * @param  {String|Buffer} message The message to send
+   * @param  {Object}        [options] Options for the message and batch
+   * @return {Promise} A promise that resolves with the report for the batch
+   */
+  sendToTag(subscriptionStore, tag, message, options) {
+    return store.sendToTag(subscriptionStore, tag, message,
+      this.createOptions(options));
+  }
+
+  /**
+   * Merges the options for one call over the client's configuration.
+   *
+   * @private
+   * @param  {Object|Number} [options] The options passed to a method. For
+   *                                   backwards compatibility this can be
+   *                                   the number of bytes of padding.
+   * @return {Object} The options to use
+   */
+  createOptions(options) {
+    if (typeof options !== 'object' || options === null) {
+      options = options === undefined ? {} : {paddingLength: options};
+    }
+
+    const config = {events: this};
+    ['gcmAPIKey', 'vapidDetails', 'transport'].forEach(name => {
+      if (this[name] !== undefined) {
+        config[name] = this[name];
+      }
+    });
+
+    return Object.assign({}, this.defaults, config, options);
+  }
+}
+
+module.exports = {WebPushClient};
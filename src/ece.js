@@ -0,0 +1,641 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const stream = require('stream');
+const errors = require('./errors');
+
+const KEY_INFO = new Buffer('Content-Encoding: aes128gcm\0', 'utf8');
+const NONCE_INFO = new Buffer('Content-Encoding: nonce\0', 'utf8');
+const WEB_PUSH_INFO = new Buffer('WebPush: info\0', 'utf8');
+
+const HASH_LENGTH = 32;
+const TAG_LENGTH = 16;
+const DEFAULT_RECORD_SIZE = 4096;
+
+// Each record has a 16 byte auth tag and a 1 byte delimiter, so the smallest
+// useful record is 18 bytes.
+const MIN_RECORD_SIZE = TAG_LENGTH + 2;
+
+/**
+ * The aes128gcm HTTP encrypted content coding from
+ * {@link https://tools.ietf.org/html/rfc8188}, for encrypting any content,
+ * not just push messages.
+ *
+ * Content can be keyed either with a pre-shared key, identified by a
+ * <code>keyid</code> in the header, or with ECDH on P-256, in which case the
+ * sender's public key is the <code>keyid</code>. Adding an
+ * <code>authSecret</code> to ECDH gives the keying from
+ * {@link https://tools.ietf.org/html/rfc8291}.
+ *
+ * @namespace ece
+ * @memberof web-push-encryption
+ */
+
+/**
+ * HMAC-based Extract-and-Expand Key Derivation Function (HKDF) with SHA-256.
+ * See {@link https://tools.ietf.org/html/rfc5869}
+ *
+ * @memberof web-push-encryption.ece
+ * @param  {Buffer} salt   A non-secret random value
+ * @param  {Buffer} ikm    Input keying material
+ * @param  {Buffer} info   Application specific context
+ * @param  {Number} length The length of the key to output, up to 8160 bytes
+ * @return {Buffer} The key
+ */
+function hkdf(salt, ikm, info, length) {
+  if (length > 255 * HASH_LENGTH) {
+    throw new errors.ValidationError(`HKDF can't output more than ` +
+      `${255 * HASH_LENGTH} bytes.`, 'invalid-length');
+  }
+
+  // Extract
+  const prk = crypto.createHmac('sha256', salt).update(ikm).digest();
+
+  // Expand
+  const blocks = [];
+  let block = new Buffer(0);
+  for (let i = 1; blocks.length * HASH_LENGTH < length; i++) {
+    block = crypto.createHmac('sha256', prk)
+      .update(block)
+      .update(info)
+      .update(new Buffer([i]))
+      .digest();
+    blocks.push(block);
+  }
+  return Buffer.concat(blocks).slice(0, length);
+}
+
+/**
+ * Encrypts content with aes128gcm.
+ *
+ * @memberof web-push-encryption.ece
+ * @param  {Buffer|String} plaintext The content to encrypt
+ * @param  {Object} options How to encrypt it
+ * @param  {Buffer} [options.key] A pre-shared key to encrypt with
+ * @param  {Buffer|String} [options.keyid] Identifies the pre-shared key to
+ *                                         the receiver, up to 255 bytes
+ * @param  {Buffer} [options.dh] The receiver's P-256 public key, to encrypt
+ *                               with ECDH instead of a pre-shared key
+ * @param  {Buffer} [options.privateKey] The sender's P-256 private key for
+ *                                       ECDH. A new key pair is generated if
+ *                                       this isn't given.
+ * @param  {Buffer} [options.authSecret] The receiver's auth secret, to mix
+ *                                       into the ECDH keying as Web Push does
+ * @param  {Number} [options.rs] The record size. Defaults to 4096.
+ * @param  {Number} [options.padding] How many bytes of padding to add.
+ *                                    Padding fills the first records, before
+ *                                    the content.
+ * @param  {Buffer} [options.salt] The salt. This must never be reused, so
+ *                                 only pass it to reproduce test vectors.
+ * @return {Buffer} The header followed by the encrypted records
+ */
+function encrypt(plaintext, options) {
+  if (typeof plaintext === 'string') {
+    plaintext = new Buffer(plaintext, 'utf8');
+  } else if (!(plaintext instanceof Buffer)) {
+    throw new errors.ValidationError('The plaintext must be a String or a ' +
+      'Buffer.', 'invalid-message');
+  }
+
+  const params = prepareEncryption(options);
+
+  // Each record holds up to rs - 17 bytes of content and padding
+  const capacity = params.rs - TAG_LENGTH - 1;
+  const records = [params.header];
+  let padding = params.padding;
+  let start = 0;
+  let last = false;
+  for (let seq = 0; !last; seq++) {
+    const recordPadding = Math.min(padding, capacity);
+    padding -= recordPadding;
+    const end = Math.min(start + capacity - recordPadding, plaintext.length);
+    last = end === plaintext.length && padding === 0;
+
+    records.push(encryptRecord(params.keys, seq, plaintext.slice(start, end),
+      recordPadding, last));
+    start = end;
+  }
+
+  return Buffer.concat(records);
+}
+
+/**
+ * Decrypts content that was encrypted with aes128gcm.
+ *
+ * @memberof web-push-encryption.ece
+ * @param  {Buffer} payload The header followed by the encrypted records
+ * @param  {Object} options How to decrypt it
+ * @param  {Buffer|Function} [options.key] The pre-shared key, or a function
+ *                                         that takes the keyid from the
+ *                                         header as a Buffer and returns the
+ *                                         key
+ * @param  {Buffer} [options.privateKey] The receiver's P-256 private key, to
+ *                                       decrypt content keyed with ECDH
+ * @param  {Buffer} [options.authSecret] The receiver's auth secret, if the
+ *                                       content was keyed as Web Push does
+ * @return {Buffer} The plaintext
+ * @throws {DecryptionError} With a <code>code</code> of 'truncated-record',
+ *                           'bad-auth-tag', 'invalid-padding' or
+ *                           'invalid-record-size' if the payload can't be
+ *                           decrypted
+ */
+function decrypt(payload, options) {
+  if (!(payload instanceof Buffer)) {
+    throw new errors.ValidationError('The payload must be a Buffer.',
+      'invalid-message');
+  }
+
+  const header = parseHeader(payload);
+  const keys = deriveDecryptionKeys(header, options);
+  const body = payload.slice(header.length);
+  const plaintext = [];
+  let seq = 0;
+  let start = 0;
+  do {
+    const end = Math.min(start + header.rs, body.length);
+    plaintext.push(decryptRecord(keys, seq, body.slice(start, end),
+      end === body.length));
+    start = end;
+    seq++;
+  } while (start < body.length);
+
+  return Buffer.concat(plaintext);
+}
+
+/**
+ * The stream returned by createEncryptStream().
+ *
+ * @private
+ */
+class EncryptStream extends stream.Transform {
+  /**
+   * @param {Object} params The rs, header and keys from prepareEncryption()
+   */
+  constructor(params) {
+    super();
+    this.params = params;
+    this.capacity = params.rs - TAG_LENGTH - 1;
+    this.pending = new Buffer(0);
+    this.seq = 0;
+    this.push(params.header);
+  }
+
+  /**
+   * Encrypts every full record of content. A record is only encrypted once
+   * more content follows it, since the last record has to be marked.
+   *
+   * @param {Buffer}   chunk    The content
+   * @param {String}   encoding The encoding of the chunk if it's a string
+   * @param {Function} callback Called once the chunk has been handled
+   */
+  _transform(chunk, encoding, callback) {
+    this.pending = Buffer.concat([this.pending, chunk]);
+    let start = 0;
+    while (this.pending.length - start > this.capacity) {
+      this.push(encryptRecord(this.params.keys, this.seq++,
+        this.pending.slice(start, start + this.capacity), 0, false));
+      start += this.capacity;
+    }
+    this.pending = this.pending.slice(start);
+    callback();
+  }
+
+  /**
+   * Encrypts the rest of the content as the last record.
+   *
+   * @param {Function} callback Called once the last record has been pushed
+   */
+  _flush(callback) {
+    this.push(encryptRecord(this.params.keys, this.seq++, this.pending, 0,
+      true));
+    callback();
+  }
+}
+
+/**
+ * The stream returned by createDecryptStream().
+ *
+ * @private
+ */
+class DecryptStream extends stream.Transform {
+  /**
+   * @param {Object} options The options passed to createDecryptStream()
+   */
+  constructor(options) {
+    super();
+    this.options = options;
+    this.pending = new Buffer(0);
+    this.header = null;
+    this.keys = null;
+    this.seq = 0;
+  }
+
+  /**
+   * Reads the header, then decrypts every record that isn't the last one.
+   *
+   * @param {Buffer}   chunk    The encrypted content
+   * @param {String}   encoding Unused, as the content is binary
+   * @param {Function} callback Called once the chunk has been handled
+   */
+  _transform(chunk, encoding, callback) {
+    this.pending = Buffer.concat([this.pending, chunk]);
+    try {
+      if (!this.header) {
+        if (!hasHeader(this.pending)) {
+          callback();
+          return;
+        }
+        this.header = parseHeader(this.pending);
+        this.keys = deriveDecryptionKeys(this.header, this.options);
+        this.pending = this.pending.slice(this.header.length);
+      }
+
+      // We can't tell whether a record is the last one until more follows
+      let start = 0;
+      while (this.pending.length - start > this.header.rs) {
+        this.push(decryptRecord(this.keys, this.seq++,
+          this.pending.slice(start, start + this.header.rs), false));
+        start += this.header.rs;
+      }
+      this.pending = this.pending.slice(start);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    callback();
+  }
+
+  /**
+   * Decrypts the last record.
+   *
+   * @param {Function} callback Called once the last record has been pushed
+   */
+  _flush(callback) {
+    try {
+      if (!this.header) {
+        parseHeader(this.pending);
+      }
+      this.push(decryptRecord(this.keys, this.seq++, this.pending, true));
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    callback();
+  }
+}
+
+/**
+ * Creates a Transform stream that encrypts the content written to it with
+ * aes128gcm. Content is split into records of <code>rs</code> bytes as it
+ * arrives, so no more than one record is held in memory.
+ *
+ * @memberof web-push-encryption.ece
+ * @param  {Object} options The same options as encrypt(), except padding
+ * @return {stream.Transform} The stream, which outputs the header followed by
+ *                            the encrypted records
+ */
+function createEncryptStream(options) {
+  return new EncryptStream(prepareEncryption(options));
+}
+
+/**
+ * Creates a Transform stream that decrypts aes128gcm content written to it.
+ * The stream emits a DecryptionError if a record can't be decrypted, or if
+ * the content ends before the last record.
+ *
+ * @memberof web-push-encryption.ece
+ * @param  {Object} options The same options as decrypt()
+ * @return {stream.Transform} The stream, which outputs the plaintext
+ */
+function createDecryptStream(options) {
+  return new DecryptStream(options);
+}
+
+/**
+ * Validates the options for encrypting and derives the keys.
+ *
+ * @private
+ * @param  {Object} options The options passed to encrypt()
+ * @return {Object} The rs, padding, header and keys
+ * @throws {ValidationError} If any of the options are invalid
+ */
+function prepareEncryption(options) {
+  options = options || {};
+  const rs = options.rs === undefined ? DEFAULT_RECORD_SIZE : options.rs;
+  if (typeof rs !== 'number' || Math.floor(rs) !== rs ||
+      rs < MIN_RECORD_SIZE || rs > 0xffffffff) {
+    throw new errors.ValidationError(`The record size must be a whole ` +
+      `number of at least ${MIN_RECORD_SIZE}.`, 'invalid-record-size');
+  }
+
+  const padding = options.padding === undefined ? 0 : options.padding;
+  if (typeof padding !== 'number' || Math.floor(padding) !== padding ||
+      padding < 0) {
+    throw new errors.ValidationError('The padding must be a whole number of ' +
+      'bytes.', 'invalid-padding-length');
+  }
+
+  const salt = options.salt || crypto.randomBytes(16);
+  if (salt.length !== 16) {
+    throw new errors.ValidationError('The salt must be 16 bytes.',
+      'invalid-salt');
+  }
+
+  let ikm;
+  let keyid;
+  if (options.dh) {
+    const ecdh = crypto.createECDH('prime256v1');
+    if (options.privateKey) {
+      ecdh.setPrivateKey(options.privateKey);
+    } else {
+      ecdh.generateKeys();
+    }
+    keyid = ecdh.getPublicKey();
+    ikm = deriveECDHSecret(ecdh, options.dh, options.dh, keyid,
+      options.authSecret);
+  } else if (options.key) {
+    ikm = options.key;
+    keyid = typeof options.keyid === 'string' ?
+      new Buffer(options.keyid, 'utf8') : options.keyid || new Buffer(0);
+  } else {
+    throw new errors.ValidationError('ece.encrypt() needs a key or the ' +
+      'receiver\'s public key (dh).', 'missing-keys');
+  }
+
+  if (keyid.length > 255) {
+    throw new errors.ValidationError('The keyid can\'t be longer than 255 ' +
+      'bytes.', 'invalid-keyid');
+  }
+
+  return {
+    rs: rs,
+    padding: padding,
+    header: createHeader(salt, rs, keyid),
+    keys: deriveKeys(salt, ikm)
+  };
+}
+
+/**
+ * Finds the key for a payload from its header and derives the keys.
+ *
+ * @private
+ * @param  {Object} header  The parsed header
+ * @param  {Object} options The options passed to decrypt()
+ * @return {Object} The contentEncryptionKey and nonce
+ */
+function deriveDecryptionKeys(header, options) {
+  options = options || {};
+
+  let ikm;
+  if (options.privateKey) {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(options.privateKey);
+    ikm = deriveECDHSecret(ecdh, header.keyid, ecdh.getPublicKey(),
+      header.keyid, options.authSecret);
+  } else if (typeof options.key === 'function') {
+    ikm = options.key(header.keyid);
+  } else {
+    ikm = options.key;
+  }
+  if (!ikm) {
+    throw new errors.ValidationError('ece.decrypt() needs a key or the ' +
+      'receiver\'s privateKey.', 'missing-keys');
+  }
+
+  return deriveKeys(header.salt, ikm);
+}
+
+/**
+ * Encrypts one record.
+ *
+ * @private
+ * @param  {Object}  keys          The contentEncryptionKey and nonce
+ * @param  {number}  seq           The sequence number of the record
+ * @param  {Buffer}  content       The content of the record
+ * @param  {number}  paddingLength How many bytes of padding to add
+ * @param  {boolean} isLast        Whether this is the last record
+ * @return {Buffer} The encrypted record, including the auth tag
+ */
+function encryptRecord(keys, seq, content, paddingLength, isLast) {
+  const delimiter = new Buffer(1 + paddingLength);
+  delimiter.fill(0);
+  delimiter.writeUInt8(isLast ? 2 : 1, 0);
+
+  const cipher = crypto.createCipheriv('id-aes128-GCM',
+    keys.contentEncryptionKey, createNonce(keys.nonce, seq));
+  const result = [cipher.update(content), cipher.update(delimiter)];
+  cipher.final();
+  result.push(cipher.getAuthTag());
+  return Buffer.concat(result);
+}
+
+/**
+ * Decrypts one record.
+ *
+ * @private
+ * @param  {Object}  keys   The contentEncryptionKey and nonce
+ * @param  {number}  seq    The sequence number of the record
+ * @param  {Buffer}  record The encrypted record, including the auth tag
+ * @param  {boolean} isLast Whether this is the last record
+ * @return {Buffer} The content of the record
+ * @throws {DecryptionError} If the record can't be decrypted
+ */
+function decryptRecord(keys, seq, record, isLast) {
+  if (record.length < TAG_LENGTH + 1) {
+    throw new errors.DecryptionError(`Record ${seq} is truncated.`,
+      'truncated-record');
+  }
+
+  const decipher = crypto.createDecipheriv('id-aes128-GCM',
+    keys.contentEncryptionKey, createNonce(keys.nonce, seq));
+  decipher.setAuthTag(record.slice(record.length - TAG_LENGTH));
+  const result = decipher.update(record.slice(0, record.length - TAG_LENGTH));
+  try {
+    decipher.final();
+  } catch (err) {
+    throw new errors.DecryptionError(`The auth tag of record ${seq} did ` +
+      `not match, the payload was corrupted or the wrong key was used.`,
+      'bad-auth-tag');
+  }
+
+  return removePadding(result, seq, isLast);
+}
+
+/**
+ * Reads the header from the start of an aes128gcm payload. See section 2.1 of
+ * {@link https://tools.ietf.org/html/rfc8188}
+ *
+ * @private
+ * @param  {Buffer} payload The payload
+ * @return {Object} The salt, rs, keyid and length of the header
+ * @throws {DecryptionError} If the header is invalid
+ */
+function parseHeader(payload) {
+  if (!hasHeader(payload)) {
+    throw new errors.DecryptionError('The aes128gcm header is truncated.',
+      'truncated-record');
+  }
+
+  const idlen = payload.readUInt8(20);
+  const rs = payload.readUInt32BE(16);
+  if (rs < MIN_RECORD_SIZE) {
+    throw new errors.DecryptionError(`The record size (${rs}) is too small.`,
+      'invalid-record-size');
+  }
+
+  return {
+    salt: payload.slice(0, 16),
+    rs: rs,
+    keyid: payload.slice(21, 21 + idlen),
+    length: 21 + idlen
+  };
+}
+
+/**
+ * @private
+ * @param  {Buffer} payload The start of a payload
+ * @return {boolean} Whether the payload is long enough to hold its header
+ */
+function hasHeader(payload) {
+  return payload.length >= 21 && payload.length >= 21 + payload.readUInt8(20);
+}
+
+/**
+ * Creates the aes128gcm header.
+ *
+ * @private
+ * @param  {Buffer} salt  The salt
+ * @param  {number} rs    The record size
+ * @param  {Buffer} keyid The key id
+ * @return {Buffer} header
+ */
+function createHeader(salt, rs, keyid) {
+  // salt (16 bytes) || rs (uint32) || idlen (uint8) || keyid (idlen bytes)
+  const header = new Buffer(16 + 4 + 1 + keyid.length);
+  salt.copy(header, 0);
+  header.writeUInt32BE(rs, 16);
+  header.writeUInt8(keyid.length, 20);
+  keyid.copy(header, 21);
+  return header;
+}
+
+/**
+ * Derives the input keying material from an ECDH agreement. With an auth
+ * secret this is the keying from section 3.4 of
+ * {@link https://tools.ietf.org/html/rfc8291}, otherwise it's the shared
+ * secret itself.
+ *
+ * @private
+ * @param  {ECDH}   ecdh            Our key pair
+ * @param  {Buffer} otherPublicKey  The other party's public key
+ * @param  {Buffer} receiverPublicKey The receiver's public key
+ * @param  {Buffer} senderPublicKey The sender's public key
+ * @param  {Buffer} [authSecret]    The receiver's auth secret
+ * @return {Buffer} The input keying material
+ */
+function deriveECDHSecret(ecdh, otherPublicKey, receiverPublicKey,
+    senderPublicKey, authSecret) {
+  let sharedSecret;
+  try {
+    sharedSecret = ecdh.computeSecret(otherPublicKey);
+  } catch (err) {
+    throw new errors.ValidationError('The public key is not a point on the ' +
+      'P-256 curve.', 'invalid-public-key');
+  }
+
+  if (!authSecret) {
+    return sharedSecret;
+  }
+
+  const info = Buffer.concat([WEB_PUSH_INFO, receiverPublicKey,
+    senderPublicKey]);
+  return hkdf(authSecret, sharedSecret, info, 32);
+}
+
+/**
+ * Derives the content encryption key and nonce. See section 2.2 and 2.3 of
+ * {@link https://tools.ietf.org/html/rfc8188}
+ *
+ * @private
+ * @param  {Buffer} salt The salt from the header
+ * @param  {Buffer} ikm  The input keying material
+ * @return {Object} The contentEncryptionKey and nonce
+ */
+function deriveKeys(salt, ikm) {
+  return {
+    contentEncryptionKey: hkdf(salt, ikm, KEY_INFO, 16),
+    nonce: hkdf(salt, ikm, NONCE_INFO, 12)
+  };
+}
+
+/**
+ * XORs the record's sequence number into the last six bytes of the nonce.
+ *
+ * @private
+ * @param  {Buffer} nonce The nonce derived from the key
+ * @param  {number} seq   The sequence number of the record
+ * @return {Buffer} The nonce for the record
+ */
+function createNonce(nonce, seq) {
+  const result = new Buffer(nonce);
+  const high = Math.floor(seq / 0x100000000);
+  result.writeUInt16BE((result.readUInt16BE(6) ^ high) & 0xffff, 6);
+  result.writeUInt32BE((result.readUInt32BE(8) ^ seq) >>> 0, 8);
+  return result;
+}
+
+/**
+ * Removes the delimiter and padding from the end of a record.
+ *
+ * @private
+ * @param  {Buffer}  record The decrypted record
+ * @param  {number}  seq    The sequence number of the record
+ * @param  {boolean} isLast Whether this is the last record
+ * @return {Buffer} The content of the record
+ */
+function removePadding(record, seq, isLast) {
+  let i = record.length - 1;
+  while (i >= 0 && record[i] === 0) {
+    i--;
+  }
+
+  const expected = isLast ? 2 : 1;
+  if (i < 0 || (record[i] !== 1 && record[i] !== 2)) {
+    throw new errors.DecryptionError(`Record ${seq} has no padding ` +
+      `delimiter.`, 'invalid-padding');
+  }
+  if (record[i] !== expected) {
+    // A last record marked 1 means records are missing from the end
+    throw new errors.DecryptionError(isLast ?
+      'The payload is truncated, the last record is not marked as the last ' +
+      'one.' :
+      `Record ${seq} is marked as the last one, but more records follow.`,
+      isLast ? 'truncated-record' : 'invalid-padding');
+  }
+
+  return record.slice(0, i);
+}
+
+module.exports = {
+  hkdf,
+  encrypt,
+  decrypt,
+  createEncryptStream,
+  createDecryptStream
+};
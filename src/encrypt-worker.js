@@ -0,0 +1,38 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// The script each worker in an EncryptionPool runs. It encrypts one message
+// for each task it's posted and posts back the result or the error.
+
+const parentPort = require('worker_threads').parentPort;
+const encrypt = require('./encrypt').encrypt;
+const restoreBuffers = require('./utils').restoreBuffers;
+
+parentPort.on('message', task => {
+  let result;
+  try {
+    result = encrypt(restoreBuffers(task.message),
+      restoreBuffers(task.subscription), restoreBuffers(task.options));
+  } catch (err) {
+    parentPort.postMessage({
+      error: {name: err.name, message: err.message, code: err.code}
+    });
+    return;
+  }
+  parentPort.postMessage({result: result});
+});
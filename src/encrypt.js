@@ -17,10 +17,37 @@
 'use strict';
 
 const crypto = require('crypto');
+const ece = require('./ece');
+const errors = require('./errors');
 
-const ONE_BUFFER = new Buffer(1).fill(1);
 const AUTH_INFO = new Buffer('Content-Encoding: auth\0', 'utf8');
-const MAX_PAYLOAD_LENGTH = 4078;
+// draft-ietf-httpbis-encryption-encoding-01 has no context or trailing nul
+const AESGCM128_KEY_INFO = new Buffer('Content-Encoding: aesgcm128', 'utf8');
+const AESGCM128_NONCE_INFO = new Buffer('Content-Encoding: nonce', 'utf8');
+
+const AESGCM = 'aesgcm';
+const AES128GCM = 'aes128gcm';
+const AESGCM128 = 'aesgcm128';
+const DEFAULT_ENCODING = AES128GCM;
+
+// The record size we advertise in the aes128gcm header. A push message is
+// always sent as a single record, so this is also the largest body we send.
+const RECORD_SIZE = 4096;
+
+// The largest message + padding that fits into a single record. For aesgcm
+// this is 4096 minus the 16 byte auth tag and the 2 byte padding length. For
+// aes128gcm we also lose the 86 byte header and the 1 byte delimiter. aesgcm128
+// only has a 1 byte padding length.
+const MAX_PAYLOAD_LENGTH = {
+  [AESGCM]: 4078,
+  [AES128GCM]: 3993,
+  [AESGCM128]: 4079
+};
+
+// The padding length of aesgcm128 is a single byte, so it can't add more
+const MAX_AESGCM128_PADDING = 255;
+
+let hasWarnedDeterministic = false;
 
 /**
  * Encrypts a message such that it can be sent using the Web Push protocol.
@@ -28,9 +55,12 @@ const MAX_PAYLOAD_LENGTH = 4078;
  * You can find out more about the various pieces:
  *
  * <ul>
- *  <li>{@link https://tools.ietf.org/html/draft-ietf-httpbis-encryption-encoding}</li>
+ *  <li>{@link https://tools.ietf.org/html/rfc8188}</li>
+ *  <li>{@link https://tools.ietf.org/html/rfc8291}</li>
  *  <li>{@link https://en.wikipedia.org/wiki/Elliptic_curve_Diffie%E2%80%93Hellman}</li>
- *  <li>{@link https://tools.ietf.org/html/draft-ietf-webpush-encryption}</li>
+ *  <li>{@link https://tools.ietf.org/html/draft-ietf-httpbis-encryption-encoding-03}</li>
+ *  <li>{@link https://tools.ietf.org/html/draft-ietf-webpush-encryption-04}</li>
+ *  <li>{@link https://tools.ietf.org/html/draft-ietf-httpbis-encryption-encoding-01}</li>
  * </ul>
  *
  * @memberof web-push-encryption
@@ -39,16 +69,61 @@ const MAX_PAYLOAD_LENGTH = 4078;
  * [PushSubscription]{@link https://developer.mozilla.org/en-US/docs/Web/API/PushSubscription}.
  * The easiest way to get this from the browser to your backend is by running
  * <code>JSON.stringify(subscription)</code> in a web pages JavaScript.
- * @param  {number} paddingLength Number of bytes of padding to use
+ * @param  {Object|number} [options] Encryption options. For backwards
+ *                                   compatibility this can also be the
+ *                                   number of bytes of padding to use.
+ * @param  {number} [options.paddingLength] Number of bytes of padding to use
+ * @param  {Object|String} [options.padding] A padding strategy, which hides
+ *                                           the length of the message
+ *                                           better than a fixed number of
+ *                                           bytes. This can't be used with
+ *                                           paddingLength. One of:
+ *                                           <ul>
+ *                                            <li><code>{strategy: 'fixed',
+ *                                            size}</code> pads the message
+ *                                            to <code>size</code> bytes</li>
+ *                                            <li><code>{strategy: 'buckets',
+ *                                            sizes}</code> pads to the
+ *                                            smallest of <code>sizes</code>
+ *                                            that fits the message, or the
+ *                                            maximum if none do</li>
+ *                                            <li><code>'max'</code> pads to
+ *                                            the largest message the
+ *                                            encoding allows</li>
+ *                                            <li><code>{strategy: 'random',
+ *                                            min, max}</code> adds between
+ *                                            <code>min</code> and
+ *                                            <code>max</code> bytes of
+ *                                            padding, as much as fits</li>
+ *                                           </ul>
+ * @param  {String} [options.encoding] The content encoding to use, either
+ *                                     'aes128gcm' (the default), 'aesgcm',
+ *                                     or 'aesgcm128' for old versions of
+ *                                     Firefox. aesgcm128 can only add 255
+ *                                     bytes of padding, and doesn't use
+ *                                     the subscription's auth secret.
+ * @param  {Object} [options.unsafeDeterministic] <strong>Only for testing.
+ *                                                </strong> The salt and
+ *                                                serverPrivateKey to use
+ *                                                instead of random ones, as
+ *                                                Buffers or base64 strings,
+ *                                                so that the output matches a
+ *                                                known test vector. Anyone who
+ *                                                sees two messages encrypted
+ *                                                with the same values can
+ *                                                learn about their contents.
  * @return {Object}               An Object containing the encrypted payload and
  *                                the other encryption information needed to
- *                                send the message.
+ *                                send the message. For aes128gcm the salt and
+ *                                server public key are also included in the
+ *                                header at the start of the ciphertext. The
+ *                                paddingLength says how many bytes of
+ *                                padding were added.
  */
-function encrypt(message, subscription, paddingLength) {
-  paddingLength = paddingLength || 0;
+function encrypt(message, subscription, options) {
+  options = normalizeOptions(options);
+  const encoding = options.encoding;
 
-  // Create Buffers for all of the inputs
-  const paddingBuffer = makePadding(paddingLength);
   let messageBuffer;
 
   if (typeof message === 'string') {
@@ -56,70 +131,418 @@ function encrypt(message, subscription, paddingLength) {
   } else if (message instanceof Buffer) {
     messageBuffer = message;
   } else {
-    throw new Error('Message must be a String or a Buffer');
+    throw new errors.ValidationError('Message must be a String or a Buffer',
+      'invalid-message');
   }
 
-  // The maximum size of the message + padding is 4078 bytes
-  if ((messageBuffer.length + paddingLength) > MAX_PAYLOAD_LENGTH) {
-    throw new Error(`Payload is too large. The max number of ` +
-      `bytes is ${MAX_PAYLOAD_LENGTH}, input is ${messageBuffer.length} ` +
-      `bytes plus ${paddingLength} bytes of padding.`);
+  const paddingLength = options.padding === undefined ?
+    options.paddingLength :
+    getPaddingLength(options.padding, messageBuffer.length, encoding);
+
+  // The maximum size of the message + padding depends on the encoding
+  const maxPayloadLength = MAX_PAYLOAD_LENGTH[encoding];
+  if (encoding === AESGCM128 && paddingLength > MAX_AESGCM128_PADDING) {
+    throw new errors.ValidationError(`aesgcm128 can only add ` +
+      `${MAX_AESGCM128_PADDING} bytes of padding, but ${paddingLength} were ` +
+      `asked for.`, 'invalid-padding-length');
   }
 
-  const plaintext = Buffer.concat([paddingBuffer, messageBuffer]);
+  if ((messageBuffer.length + paddingLength) > maxPayloadLength) {
+    throw new errors.ValidationError(`Payload is too large. The max ` +
+      `number of bytes is ${maxPayloadLength}, input is ` +
+      `${messageBuffer.length} bytes plus ${paddingLength} bytes of padding.`,
+      'payload-too-large');
+  }
 
   if (!subscription || !subscription.keys) {
-    throw new Error('Subscription has no encryption details.');
+    throw new errors.ValidationError('Subscription has no encryption ' +
+      'details.', 'missing-keys');
   }
 
+  // The aesgcm128 draft came before auth secrets, so old subscriptions may not
+  // have one.
   if (!subscription.keys.p256dh ||
-      !subscription.keys.auth) {
-    throw new Error('Subscription is missing some encryption details.');
+      (!subscription.keys.auth && encoding !== AESGCM128)) {
+    throw new errors.ValidationError('Subscription is missing some ' +
+      'encryption details.', 'missing-keys');
   }
 
   const clientPublicKey = new Buffer(subscription.keys.p256dh, 'base64');
-  const clientAuthToken = new Buffer(subscription.keys.auth, 'base64');
+  const clientAuthToken = subscription.keys.auth ?
+    new Buffer(subscription.keys.auth, 'base64') : null;
 
-  if (clientAuthToken.length !== 16) {
-    throw new Error('Subscription\'s Auth token is not 16 bytes.');
+  if (clientAuthToken && clientAuthToken.length !== 16) {
+    throw new errors.ValidationError('Subscription\'s Auth token is not 16 ' +
+      'bytes.', 'invalid-auth-secret');
   }
 
   if (clientPublicKey.length !== 65) {
-    throw new Error('Subscription\'s client key (p256dh) is invalid.');
+    throw new errors.ValidationError('Subscription\'s client key (p256dh) ' +
+      'is invalid.', 'invalid-p256dh');
   }
 
-  // Create a random 16-byte salt
-  const salt = crypto.randomBytes(16);
+  let salt;
+  let serverECDH;
+  let serverPublicKey;
+  if (options.unsafeDeterministic) {
+    warnDeterministic();
+    const deterministic = options.unsafeDeterministic;
+    salt = toBuffer(deterministic.salt || '');
+    if (salt.length !== 16) {
+      throw new errors.ValidationError('unsafeDeterministic.salt must be 16 ' +
+        'bytes.', 'invalid-unsafe-deterministic');
+    }
+    serverECDH = crypto.createECDH('prime256v1');
+    try {
+      serverECDH.setPrivateKey(toBuffer(deterministic.serverPrivateKey || ''));
+    } catch (err) {
+      throw new errors.ValidationError('unsafeDeterministic.serverPrivateKey ' +
+        'must be a P-256 private key.', 'invalid-unsafe-deterministic');
+    }
+    serverPublicKey = serverECDH.getPublicKey();
+  } else {
+    // Create a random 16-byte salt
+    salt = crypto.randomBytes(16);
+
+    // Use ECDH to derive a shared secret between us and the client. We
+    // generate a fresh private/public key pair at random every time we
+    // encrypt.
+    serverECDH = crypto.createECDH('prime256v1');
+    serverPublicKey = serverECDH.generateKeys();
+  }
 
-  // Use ECDH to derive a shared secret between us and the client. We generate
-  // a fresh private/public key pair at random every time we encrypt.
-  const serverECDH = crypto.createECDH('prime256v1');
-  const serverPublicKey = serverECDH.generateKeys();
-  const sharedSecret = serverECDH.computeSecret(clientPublicKey);
+  let ciphertext;
+  if (encoding === AES128GCM) {
+    // aes128gcm is the content coding from RFC 8188 with the Web Push keying,
+    // which ece implements. Everything the client needs to decrypt goes into
+    // a header at the start of the body.
+    try {
+      ciphertext = ece.encrypt(messageBuffer, {
+        dh: clientPublicKey,
+        privateKey: serverECDH.getPrivateKey(),
+        authSecret: clientAuthToken,
+        salt: salt,
+        rs: RECORD_SIZE,
+        padding: paddingLength
+      });
+    } catch (err) {
+      throw err.code === 'invalid-public-key' ? invalidP256dhError() : err;
+    }
+  } else {
+    let sharedSecret;
+    try {
+      sharedSecret = serverECDH.computeSecret(clientPublicKey);
+    } catch (err) {
+      throw invalidP256dhError();
+    }
+
+    const keys = deriveKeys(encoding, {
+      salt: salt,
+      authSecret: clientAuthToken,
+      sharedSecret: sharedSecret,
+      clientPublicKey: clientPublicKey,
+      serverPublicKey: serverPublicKey
+    });
+    const plaintext = Buffer.concat([makePadding(paddingLength, encoding),
+      messageBuffer]);
+    ciphertext = encryptPayload(plaintext, keys.contentEncryptionKey,
+      keys.nonce);
+  }
 
-  // Derive a Pseudo-Random Key (prk) that can be used to further derive our
-  // other encryption parameters. These derivations are described in
-  // https://tools.ietf.org/html/draft-ietf-httpbis-encryption-encoding-00
-  const prk = hkdf(clientAuthToken, sharedSecret, AUTH_INFO, 32);
+  // Return all of the values needed to construct a Web Push HTTP request.
+  return {
+    ciphertext: ciphertext,
+    salt: salt,
+    serverPublicKey: serverPublicKey,
+    paddingLength: paddingLength
+  };
+}
+
+/**
+ * Decrypts a message that was encrypted with encrypt(). This is the work a
+ * browser does when it receives a push message, so it's mostly useful for
+ * testing and debugging.
+ *
+ * @memberof web-push-encryption
+ * @param  {Buffer} ciphertext The encrypted payload, i.e. the request body
+ * @param  {Object} options    The values needed to decrypt the payload
+ * @param  {Buffer|String} options.privateKey The client's ECDH private key
+ * @param  {Buffer|String} [options.authSecret] The client's auth secret,
+ *                                              which aesgcm128 doesn't use
+ * @param  {Buffer|String} [options.salt] The salt, only needed for aesgcm and
+ *                                        aesgcm128 as aes128gcm includes it
+ *                                        in the payload
+ * @param  {Buffer|String} [options.serverPublicKey] The server's public key,
+ *                                                   only needed for aesgcm
+ *                                                   and aesgcm128
+ * @param  {String} [options.encoding] The content encoding of the payload,
+ *                                     either 'aes128gcm' (the default),
+ *                                     'aesgcm' or 'aesgcm128'
+ * @return {Buffer} The decrypted message
+ * @throws {ValidationError} If the ciphertext isn't a Buffer, or the keys or
+ *                           salt are missing or invalid
+ * @throws {DecryptionError} With a <code>code</code> of 'truncated-record',
+ *                           'bad-auth-tag', 'invalid-padding',
+ *                           'invalid-server-public-key' or, for aes128gcm,
+ *                           'invalid-record-size' if the payload can't be
+ *                           decrypted
+ */
+function decrypt(ciphertext, options) {
+  if (!(ciphertext instanceof Buffer)) {
+    throw new errors.ValidationError('Ciphertext must be a Buffer',
+      'invalid-ciphertext');
+  }
+
+  const encoding = options ? normalizeOptions(options).encoding : undefined;
+  if (!options || !options.privateKey ||
+      (!options.authSecret && encoding !== AESGCM128)) {
+    throw new errors.ValidationError('decrypt() requires a privateKey and ' +
+      'authSecret.', 'missing-keys');
+  }
 
-  const context = createContext(clientPublicKey, serverPublicKey);
+  const clientECDH = crypto.createECDH('prime256v1');
+  try {
+    clientECDH.setPrivateKey(toBuffer(options.privateKey));
+  } catch (err) {
+    throw new errors.ValidationError('The privateKey is not a P-256 private ' +
+      'key.', 'invalid-private-key');
+  }
 
-  // Derive the Content Encryption Key
-  const contentEncryptionKeyInfo = createInfo('aesgcm', context);
-  const contentEncryptionKey = hkdf(salt, prk, contentEncryptionKeyInfo, 16);
+  const authSecret = options.authSecret ? toBuffer(options.authSecret) : null;
+  if (encoding === AES128GCM) {
+    // The salt and server key are in the header
+    try {
+      return ece.decrypt(ciphertext, {
+        privateKey: clientECDH.getPrivateKey(),
+        authSecret: authSecret
+      });
+    } catch (err) {
+      throw err.code === 'invalid-public-key' ? invalidServerKeyError() : err;
+    }
+  }
 
-  // Derive the Nonce
-  const nonceInfo = createInfo('nonce', context);
-  const nonce = hkdf(salt, prk, nonceInfo, 12);
+  if (!options.salt || !options.serverPublicKey) {
+    throw new errors.ValidationError(`${encoding} payloads require a salt ` +
+      `and serverPublicKey.`, 'missing-salt');
+  }
+  const salt = toBuffer(options.salt);
+  const serverPublicKey = toBuffer(options.serverPublicKey);
+
+  // Every record has a 16 byte auth tag and at least the padding length (2
+  // bytes for aesgcm, 1 for aesgcm128).
+  const minRecordLength = encoding === AESGCM ? 18 : 17;
+  if (ciphertext.length < minRecordLength) {
+    throw new errors.DecryptionError(`The record is truncated, expected at ` +
+      `least ${minRecordLength} bytes but got ${ciphertext.length}.`,
+      'truncated-record');
+  }
 
-  // Do the actual encryption
-  const ciphertext = encryptPayload(plaintext, contentEncryptionKey, nonce);
+  const clientPublicKey = clientECDH.getPublicKey();
+  let sharedSecret;
+  try {
+    sharedSecret = clientECDH.computeSecret(serverPublicKey);
+  } catch (err) {
+    throw invalidServerKeyError();
+  }
 
-  // Return all of the values needed to construct a Web Push HTTP request.
-  return {
-    ciphertext: ciphertext,
+  const keys = deriveKeys(encoding, {
     salt: salt,
+    authSecret: authSecret,
+    sharedSecret: sharedSecret,
+    clientPublicKey: clientPublicKey,
     serverPublicKey: serverPublicKey
+  });
+
+  const plaintext = decryptPayload(ciphertext, keys.contentEncryptionKey,
+    keys.nonce);
+
+  return removePadding(plaintext, encoding);
+}
+
+/**
+ * Fills in the defaults for the options passed to encrypt().
+ *
+ * @private
+ * @param  {Object|number} options The options passed in by the caller, or the
+ *                                 padding length for older callers
+ * @return {Object} options
+ */
+function normalizeOptions(options) {
+  if (typeof options !== 'object' || options === null) {
+    options = {paddingLength: options};
+  }
+
+  const encoding = options.encoding || DEFAULT_ENCODING;
+  if (!MAX_PAYLOAD_LENGTH.hasOwnProperty(encoding)) {
+    throw new errors.ValidationError(`Unsupported content encoding ` +
+      `'${encoding}'. Expected one of ` +
+      `${Object.keys(MAX_PAYLOAD_LENGTH).join(', ')}.`, 'unsupported-encoding');
+  }
+
+  if (options.padding !== undefined && options.paddingLength) {
+    throw new errors.ValidationError('The padding and paddingLength options ' +
+      'can\'t be used together.', 'invalid-padding-strategy');
+  }
+
+  const paddingLength = options.paddingLength === undefined ||
+    options.paddingLength === null ? 0 :
+    checkPaddingSize(options.paddingLength, 'paddingLength', Infinity, true,
+      'invalid-padding-length');
+
+  return {
+    paddingLength: paddingLength,
+    padding: options.padding,
+    encoding: encoding,
+    unsafeDeterministic: options.unsafeDeterministic
+  };
+}
+
+/**
+ * Works out how many bytes of padding a padding strategy needs for a message.
+ * The sizes used by the strategies are the length of the message plus the
+ * padding, which is the most that MAX_PAYLOAD_LENGTH allows. The encoding's
+ * own padding format is added on top by makePadding(), or by ece for
+ * aes128gcm.
+ * aesgcm128 can't add more than 255 bytes, so the largest size it can pad to
+ * also depends on the message.
+ *
+ * @private
+ * @param  {Object|String} padding       The padding strategy. See encrypt().
+ * @param  {number}        messageLength The length of the message in bytes
+ * @param  {String}        encoding      The content encoding
+ * @return {number} The number of bytes of padding to add
+ * @throws {ValidationError} If the strategy is invalid or the message is
+ *                           longer than the size it should be padded to
+ */
+function getPaddingLength(padding, messageLength, encoding) {
+  const maxLength = MAX_PAYLOAD_LENGTH[encoding];
+  if (typeof padding === 'string') {
+    padding = {strategy: padding};
+  }
+  if (!padding || typeof padding !== 'object') {
+    throw new errors.ValidationError('The padding option must be a padding ' +
+      'strategy.', 'invalid-padding-strategy');
+  }
+
+  if (messageLength > maxLength) {
+    // Let encrypt() report that the message is too large
+    return 0;
+  }
+
+  const maxPaddedLength = encoding === AESGCM128 ?
+    Math.min(maxLength, messageLength + MAX_AESGCM128_PADDING) : maxLength;
+
+  let size;
+  switch (padding.strategy) {
+    case 'fixed':
+      size = checkPaddingSize(padding.size, 'padding.size', maxLength);
+      if (messageLength > size) {
+        throw new errors.ValidationError(`The message is ${messageLength} ` +
+          `bytes, which is longer than the padded size of ${size} bytes.`,
+          'payload-too-large');
+      }
+      break;
+    case 'buckets':
+      if (!Array.isArray(padding.sizes) || padding.sizes.length === 0) {
+        throw new errors.ValidationError('padding.sizes must be an array of ' +
+          'sizes.', 'invalid-padding-strategy');
+      }
+      size = padding.sizes
+        .map(bucket => checkPaddingSize(bucket, 'padding.sizes', maxLength))
+        .sort((a, b) => a - b)
+        .find(bucket => bucket >= messageLength && bucket <= maxPaddedLength);
+      if (size === undefined) {
+        size = maxPaddedLength;
+      }
+      break;
+    case 'max':
+      size = maxPaddedLength;
+      break;
+    case 'random': {
+      const min = padding.min || 0;
+      checkPaddingSize(min, 'padding.min', maxLength, true);
+      checkPaddingSize(padding.max, 'padding.max', maxLength, true);
+      if (min > padding.max) {
+        throw new errors.ValidationError('padding.min must not be more than ' +
+          'padding.max.', 'invalid-padding-strategy');
+      }
+      // Use crypto rather than Math.random() so the lengths are unpredictable
+      const random = crypto.randomBytes(4).readUInt32BE(0);
+      const paddingLength = min + (random % (padding.max - min + 1));
+      return Math.min(paddingLength, maxPaddedLength - messageLength);
+    }
+    default:
+      throw new errors.ValidationError(`Unsupported padding strategy ` +
+        `'${padding.strategy}'. Expected one of fixed, buckets, max, random.`,
+        'invalid-padding-strategy');
+  }
+
+  return size - messageLength;
+}
+
+/**
+ * @private
+ * @param  {*}       size       The size from a padding strategy, or the
+ *                              paddingLength
+ * @param  {String}  name       The option's name, for the error message
+ * @param  {number}  maxLength  The largest size the encoding allows, or
+ *                              Infinity to leave it to the payload size check
+ * @param  {boolean} [allowZero] Whether 0 is a valid size
+ * @param  {String}  [code]     The error code. Defaults to
+ *                              'invalid-padding-strategy'.
+ * @return {number} The size
+ * @throws {ValidationError} If the size isn't a whole number in range
+ */
+function checkPaddingSize(size, name, maxLength, allowZero, code) {
+  if (typeof size !== 'number' || Math.floor(size) !== size ||
+      size < (allowZero ? 0 : 1) || size > maxLength) {
+    const limit = isFinite(maxLength) ? ` no more than ${maxLength}` : '';
+    throw new errors.ValidationError(`${name} must be a whole number of ` +
+      `bytes${limit}.`, code || 'invalid-padding-strategy');
+  }
+  return size;
+}
+
+/**
+ * Derives the content encryption key and nonce for the older encodings.
+ * aes128gcm is keyed by ece.
+ *
+ * For aesgcm these derivations are described in
+ * {@link https://tools.ietf.org/html/draft-ietf-webpush-encryption-04}
+ * and for aesgcm128 in section 3.2 of
+ * {@link https://tools.ietf.org/html/draft-ietf-httpbis-encryption-encoding-01}
+ *
+ * @private
+ * @param  {String} encoding The content encoding being used, aesgcm or
+ *                           aesgcm128
+ * @param  {Object} params   The salt, authSecret, sharedSecret,
+ *                           clientPublicKey and serverPublicKey
+ * @return {Object} The contentEncryptionKey and nonce
+ */
+function deriveKeys(encoding, params) {
+  if (encoding === AESGCM128) {
+    // The draft came before auth secrets and doesn't use the public keys, so
+    // the keys come straight from the ECDH secret. Receivers that only speak
+    // aesgcm128 ignore the auth secret even if the subscription has one.
+    return {
+      contentEncryptionKey: ece.hkdf(params.salt, params.sharedSecret,
+        AESGCM128_KEY_INFO, 16),
+      nonce: ece.hkdf(params.salt, params.sharedSecret, AESGCM128_NONCE_INFO,
+        12)
+    };
+  }
+
+  // Derive a Pseudo-Random Key (prk) that can be used to further derive our
+  // other encryption parameters.
+  const prk = ece.hkdf(params.authSecret, params.sharedSecret, AUTH_INFO, 32);
+
+  const context = createContext(params.clientPublicKey,
+    params.serverPublicKey);
+
+  return {
+    contentEncryptionKey: ece.hkdf(params.salt, prk,
+      createInfo('aesgcm', context), 16),
+    nonce: ece.hkdf(params.salt, prk, createInfo('nonce', context), 12)
   };
 }
 
@@ -194,49 +617,20 @@ function createInfo(type, context) {
   return info;
 }
 
-/**
- * HMAC-based Extract-and-Expand Key Derivation Function (HKDF)
- *
- * This is used to derive a secure encryption key from a mostly-secure shared
- * secret.
- *
- * This is a partial implementation of HKDF tailored to our specific purposes.
- * In particular, for us the value of N will always be 1, and thus T always
- * equals HMAC-Hash(PRK, info | 0x01).
- *
- * See {@link https://www.rfc-editor.org/rfc/rfc5869.txt}
- *
- * @private
- * @param  {Buffer} salt   A non-secret random value
- * @param  {Buffer} ikm    Input keying material
- * @param  {Buffer} info   Application-specfic context
- * @param  {Number} length The length (in bytes) of the required output key
- * @return {Buffer} Key
- */
-function hkdf(salt, ikm, info, length) {
-  // Extract
-  const prkHmac = crypto.createHmac('sha256', salt);
-  prkHmac.update(ikm);
-  const prk = prkHmac.digest();
-
-  // Expand
-  const infoHmac = crypto.createHmac('sha256', prk);
-  infoHmac.update(info);
-  infoHmac.update(ONE_BUFFER);
-  return infoHmac.digest().slice(0, length);
-}
-
 /**
  * Creates a buffer of padding bytes. The first two bytes hold the length of the
- * rest of the buffer, encoded as a 16-bit integer.
+ * rest of the buffer, encoded as a 16-bit integer, or for aesgcm128 the first
+ * byte as an 8-bit integer.
  * @private
- * @param  {number} length How long the padding should be
- * @return {Buffer}        The new buffer
+ * @param  {number} length   How long the padding should be
+ * @param  {String} encoding The content encoding, aesgcm or aesgcm128
+ * @return {Buffer}          The new buffer
  */
-function makePadding(length) {
-  const buffer = new Buffer(2 + length);
+function makePadding(length, encoding) {
+  const prefixLength = encoding === AESGCM128 ? 1 : 2;
+  const buffer = new Buffer(prefixLength + length);
   buffer.fill(0);
-  buffer.writeUInt16BE(length, 0);
+  buffer.writeUIntBE(length, 0, prefixLength);
   return buffer;
 }
 
@@ -258,4 +652,98 @@ function encryptPayload(plaintext, contentEncryptionKey, nonce) {
   return Buffer.concat([result, cipher.getAuthTag()]);
 }
 
-module.exports = encrypt;
+/**
+ * Decrypt a record that was encrypted with encryptPayload()
+ * @private
+ * @param  {Buffer} record               The encrypted record, including the
+ *                                       auth tag
+ * @param  {Buffer} contentEncryptionKey The private key to use
+ * @param  {Buffer} nonce                The iv
+ * @return {Buffer}                      The plaintext, including padding
+ */
+function decryptPayload(record, contentEncryptionKey, nonce) {
+  const decipher = crypto.createDecipheriv('id-aes128-GCM',
+      contentEncryptionKey, nonce);
+  decipher.setAuthTag(record.slice(record.length - 16));
+  const result = decipher.update(record.slice(0, record.length - 16));
+
+  try {
+    decipher.final();
+  } catch (err) {
+    throw new errors.DecryptionError('The auth tag did not match, the ' +
+      'payload was corrupted or the wrong keys were used.', 'bad-auth-tag');
+  }
+
+  return result;
+}
+
+/**
+ * Removes the padding added by makePadding() from the start of a plaintext.
+ * @private
+ * @param  {Buffer} plaintext The decrypted record
+ * @param  {String} encoding  The content encoding, aesgcm or aesgcm128
+ * @return {Buffer}           The message
+ */
+function removePadding(plaintext, encoding) {
+  const prefixLength = encoding === AESGCM128 ? 1 : 2;
+  const length = plaintext.readUIntBE(0, prefixLength);
+  if (prefixLength + length > plaintext.length) {
+    throw new errors.DecryptionError(`The padding length (${length}) is ` +
+      `longer than the record.`, 'invalid-padding');
+  }
+
+  for (let i = prefixLength; i < prefixLength + length; i++) {
+    if (plaintext[i] !== 0) {
+      throw new errors.DecryptionError('The padding contains non-zero ' +
+        'bytes.', 'invalid-padding');
+    }
+  }
+
+  return plaintext.slice(prefixLength + length);
+}
+
+/**
+ * @private
+ * @return {ValidationError} The error for a subscription whose p256dh key
+ *                           isn't on the curve
+ */
+function invalidP256dhError() {
+  return new errors.ValidationError('Subscription\'s client key (p256dh) ' +
+    'is not a point on the P-256 curve.', 'invalid-p256dh');
+}
+
+/**
+ * @private
+ * @return {DecryptionError} The error for a payload whose server public key
+ *                           isn't on the curve
+ */
+function invalidServerKeyError() {
+  return new errors.DecryptionError('The server public key is not a point ' +
+    'on the P-256 curve.', 'invalid-server-public-key');
+}
+
+/**
+ * Warns, once per process, that encryption isn't using random values.
+ * @private
+ */
+function warnDeterministic() {
+  if (hasWarnedDeterministic || typeof process.emitWarning !== 'function') {
+    return;
+  }
+  hasWarnedDeterministic = true;
+  process.emitWarning('encrypt() was called with the unsafeDeterministic ' +
+    'option. Reusing a salt and server key breaks the encryption, so this ' +
+    'must only be used in tests.', 'UnsafeDeterministicWarning');
+}
+
+/**
+ * Keys may be passed around as Buffers or as (URL safe) base64 strings.
+ * @private
+ * @param  {Buffer|String} value The key
+ * @return {Buffer}              The key as a Buffer
+ */
+function toBuffer(value) {
+  return value instanceof Buffer ? value : new Buffer(value, 'base64');
+}
+
+module.exports = {encrypt, decrypt};
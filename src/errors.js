@@ -0,0 +1,157 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The base class for all of the errors thrown by this library. The
+ * <code>code</code> property is a short, machine readable description of the
+ * problem.
+ *
+ * @memberof web-push-encryption
+ */
+class WebPushError extends Error {
+  /**
+   * @param {String} message A description of the problem
+   * @param {String} code    A machine readable error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Thrown when the message, subscription or options can't be used, before
+ * anything is sent.
+ *
+ * @memberof web-push-encryption
+ */
+class ValidationError extends WebPushError {}
+
+/**
+ * Thrown by parseSubscription() when a subscription is invalid.
+ * <code>field</code> is the name of the field that has the problem, for
+ * example 'keys.p256dh', or an empty string if the subscription isn't an
+ * object at all.
+ *
+ * @memberof web-push-encryption
+ */
+class InvalidSubscriptionError extends ValidationError {
+  /**
+   * @param {String} message A description of the problem
+   * @param {String} code    A machine readable error code
+   * @param {String} field   The field with the problem
+   */
+  constructor(message, code, field) {
+    super(message, code);
+    this.field = field;
+  }
+}
+
+/**
+ * Thrown by decrypt() when a payload can't be decrypted.
+ *
+ * @memberof web-push-encryption
+ */
+class DecryptionError extends WebPushError {}
+
+/**
+ * The base class for errors caused by the push service rejecting a message.
+ * <code>retryAfter</code> is the number of seconds the push service asked us
+ * to wait before trying again, if it said.
+ *
+ * @memberof web-push-encryption
+ */
+class PushResponseError extends WebPushError {
+  /**
+   * @param {String} message    A description of the problem
+   * @param {String} code       A machine readable error code
+   * @param {Object} response   The statusCode, statusMessage, headers and body
+   *                            returned by the push service
+   * @param {String} endpoint   The endpoint the message was sent to
+   * @param {number} [retryAfter] Seconds to wait before trying again
+   */
+  constructor(message, code, response, endpoint, retryAfter) {
+    super(message, code);
+    this.statusCode = response.statusCode;
+    this.statusMessage = response.statusMessage;
+    this.headers = response.headers || {};
+    this.body = response.body;
+    this.endpoint = endpoint;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * The subscription has expired or been unsubscribed (404 or 410), so it should
+ * be deleted.
+ *
+ * @memberof web-push-encryption
+ */
+class SubscriptionGoneError extends PushResponseError {}
+
+/**
+ * The push service didn't accept our VAPID or GCM credentials (401 or 403).
+ *
+ * @memberof web-push-encryption
+ */
+class AuthenticationError extends PushResponseError {}
+
+/**
+ * The encrypted message was too large for the push service (413).
+ *
+ * @memberof web-push-encryption
+ */
+class PayloadTooLargeError extends PushResponseError {}
+
+/**
+ * The push service rejected the request as malformed (400 or any other 4xx
+ * without a more specific error).
+ *
+ * @memberof web-push-encryption
+ */
+class InvalidRequestError extends PushResponseError {}
+
+/**
+ * Too many messages have been sent (429).
+ *
+ * @memberof web-push-encryption
+ */
+class RateLimitedError extends PushResponseError {}
+
+/**
+ * The push service failed to handle the request (5xx).
+ *
+ * @memberof web-push-encryption
+ */
+class PushServiceError extends PushResponseError {}
+
+module.exports = {
+  WebPushError,
+  ValidationError,
+  InvalidSubscriptionError,
+  DecryptionError,
+  PushResponseError,
+  SubscriptionGoneError,
+  AuthenticationError,
+  PayloadTooLargeError,
+  InvalidRequestError,
+  RateLimitedError,
+  PushServiceError
+};
@@ -0,0 +1,101 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const errors = require('./errors');
+const utils = require('./utils');
+
+// What replaces the path of an endpoint in events, since the path identifies
+// the subscription and is all anyone needs to send to it.
+const REDACTED = '[redacted]';
+
+/**
+ * Creates the function sendWebPush() reports what it's doing with. Each event
+ * is emitted on <code>options.events</code> with an object describing it,
+ * which always includes:
+ *
+ * <ul>
+ *  <li><code>service</code>: the name of the push service's profile</li>
+ *  <li><code>origin</code>: the origin of the subscription's endpoint</li>
+ *  <li><code>endpoint</code>: the endpoint, with its path replaced by
+ *  '[redacted]' unless <code>options.redactEndpoints</code> is false</li>
+ *  <li><code>attempt</code>: which attempt at sending the message this is,
+ *  starting at 1</li>
+ * </ul>
+ *
+ * The events are:
+ *
+ * <ul>
+ *  <li>'encrypt:start', with the <code>encoding</code> and the
+ *  <code>payloadSize</code> in bytes</li>
+ *  <li>'encrypt:end', which adds the <code>paddingLength</code>, the
+ *  <code>bodySize</code> of the encrypted message and the
+ *  <code>duration</code> in milliseconds</li>
+ *  <li>'request:start', with the <code>method</code></li>
+ *  <li>'response', with the <code>statusCode</code> and the
+ *  <code>latency</code> in milliseconds. If the request failed without a
+ *  response the statusCode is null and <code>error</code> is the error's
+ *  code, or its name if it doesn't have one.</li>
+ *  <li>'retry', with the <code>delay</code> in milliseconds before the next
+ *  attempt and the <code>reason</code>, the code of the error that caused
+ *  it</li>
+ *  <li>'subscription:gone', with the <code>statusCode</code>, when the push
+ *  service says the subscription has expired</li>
+ * </ul>
+ *
+ * Subscription keys are never included. A listener that throws doesn't stop
+ * the message being sent, and is reported as a process warning instead.
+ *
+ * @private
+ * @param  {Object} options The options passed to sendWebPush()
+ * @param  {EventEmitter} [options.events] Where to emit the events
+ * @param  {boolean} [options.redactEndpoints] Whether to hide the path of
+ *                                             the endpoint. Defaults to true.
+ * @param  {String} endpoint The subscription's endpoint
+ * @param  {Object} service  The push service's profile
+ * @return {Function} A function that takes the name of an event and the
+ *                    details of it, and emits it with the details above
+ * @throws {ValidationError} If options.events isn't an EventEmitter
+ */
+function createReporter(options, endpoint, service) {
+  const events = options.events;
+  if (events === undefined || events === null) {
+    return () => {};
+  }
+  if (typeof events.emit !== 'function') {
+    throw new errors.ValidationError('The events option must be an ' +
+      'EventEmitter.', 'invalid-events');
+  }
+
+  const origin = utils.getOrigin(endpoint);
+  const base = {
+    service: service.name,
+    origin: origin,
+    endpoint: options.redactEndpoints === false ?
+      endpoint : `${origin}/${REDACTED}`
+  };
+
+  return (name, details) => {
+    try {
+      events.emit(name, Object.assign({}, base, details));
+    } catch (err) {
+      process.emitWarning(err);
+    }
+  };
+}
+
+module.exports = {createReporter};
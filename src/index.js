@@ -16,8 +16,21 @@
 
 'use strict';
 
-const encrypt = require('./encrypt');
-const push = require('./push');
+const client = require('./client');
+const ece = require('./ece');
+const encryption = require('./encrypt');
+const errors = require('./errors');
+const pool = require('./pool');
+const sendQueue = require('./send-queue');
+const services = require('./services');
+const subscription = require('./subscription');
+const subscriptionStore = require('./subscription-store');
+const transport = require('./transport');
+const vapid = require('./vapid');
+
+// The top level functions send with this client, so setGCMAPIKey() changes
+// the key they use.
+const defaultClient = new client.WebPushClient();
 
 /**
  * web-push-encryption is a module that helps encrypt and / or send push
@@ -25,7 +38,48 @@ const push = require('./push');
  * @namespace web-push-encryption
  */
 module.exports = {
-  encrypt: encrypt,
-  sendWebPush: push.sendWebPush,
-  setGCMAPIKey: push.setGCMAPIKey
+  WebPushClient: client.WebPushClient,
+  encrypt: defaultClient.encrypt.bind(defaultClient),
+  encryptAsync: defaultClient.encryptAsync.bind(defaultClient),
+  decrypt: encryption.decrypt,
+  ece: ece,
+  EncryptionPool: pool.EncryptionPool,
+  closeEncryptionPool: pool.closeEncryptionPool,
+  sendWebPush: defaultClient.send.bind(defaultClient),
+  sendWebPushBatch: defaultClient.sendBatch.bind(defaultClient),
+  cancelWebPush: defaultClient.cancel.bind(defaultClient),
+  SendQueue: sendQueue.SendQueue,
+  createSendQueue: defaultClient.createSendQueue.bind(defaultClient),
+  sendToUser: defaultClient.sendToUser.bind(defaultClient),
+  sendToTag: defaultClient.sendToTag.bind(defaultClient),
+  generateRequestDetails:
+    defaultClient.generateRequestDetails.bind(defaultClient),
+  setGCMAPIKey: defaultClient.setGCMAPIKey.bind(defaultClient),
+  on: defaultClient.on.bind(defaultClient),
+  removeListener: defaultClient.removeListener.bind(defaultClient),
+  registerPushService: services.registerPushService,
+  unregisterPushService: services.unregisterPushService,
+  getPushService: services.getPushService,
+  parseSubscription: subscription.parseSubscription,
+  validateSubscription: subscription.validateSubscription,
+  SubscriptionStore: subscriptionStore.SubscriptionStore,
+  MemorySubscriptionStore: subscriptionStore.MemorySubscriptionStore,
+  JsonFileSubscriptionStore: subscriptionStore.JsonFileSubscriptionStore,
+  httpsTransport: transport.httpsTransport,
+  getVapidHeaders: vapid.getVapidHeaders,
+  generateVAPIDKeys: vapid.generateVAPIDKeys,
+  validateVAPIDKeys: vapid.validateVAPIDKeys,
+  exportVAPIDKeys: vapid.exportVAPIDKeys,
+  importVAPIDKeys: vapid.importVAPIDKeys,
+  WebPushError: errors.WebPushError,
+  ValidationError: errors.ValidationError,
+  InvalidSubscriptionError: errors.InvalidSubscriptionError,
+  DecryptionError: errors.DecryptionError,
+  PushResponseError: errors.PushResponseError,
+  SubscriptionGoneError: errors.SubscriptionGoneError,
+  AuthenticationError: errors.AuthenticationError,
+  PayloadTooLargeError: errors.PayloadTooLargeError,
+  InvalidRequestError: errors.InvalidRequestError,
+  RateLimitedError: errors.RateLimitedError,
+  PushServiceError: errors.PushServiceError
 };
@@ -0,0 +1,435 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const encryption = require('./encrypt');
+const utils = require('./utils');
+const vapid = require('./vapid');
+
+/**
+ * A push service that runs on localhost, so that tests can send real
+ * requests with sendWebPush() and check what a browser would receive.
+ *
+ * It speaks enough of RFC 8030 to accept messages for the subscriptions it
+ * creates: it checks the TTL, Urgency and Topic headers, checks VAPID or GCM
+ * Authorization headers, decrypts the payload and records each message in
+ * <code>messages</code>. Messages can be cancelled with a DELETE request to
+ * their location. Failures can be scripted with respondWith().
+ *
+ * The service uses plain http on 127.0.0.1, so pass
+ * <code>{allowHttpLoopback: true}</code> to parseSubscription() or to a
+ * subscription store to accept its subscriptions.
+ *
+ * @memberof web-push-encryption/testing
+ * @example
+ * const MockPushService =
+ *   require('web-push-encryption/testing').MockPushService;
+ * const service = new MockPushService();
+ * service.start()
+ * .then(() => sendWebPush('Hello', service.createSubscription()))
+ * .then(() => {
+ *   service.messages[0].payload.toString(); // 'Hello'
+ *   return service.stop();
+ * });
+ */
+class MockPushService {
+  /**
+   * @param {Object} [options] How the push service should behave
+   * @param {String} [options.vapidPublicKey] Only accept messages with
+   *                                          VAPID tokens signed by this key,
+   *                                          like a subscription created with
+   *                                          an applicationServerKey
+   * @param {String} [options.gcmAPIKey] Accept 'key=' Authorization headers
+   *                                     with this GCM API key
+   * @param {number} [options.maxPayloadSize] The largest body to accept, in
+   *                                          bytes. Defaults to 4096.
+   */
+  constructor(options) {
+    options = options || {};
+    this.vapidPublicKey = options.vapidPublicKey;
+    this.gcmAPIKey = options.gcmAPIKey;
+    this.maxPayloadSize = options.maxPayloadSize ||
+      utils.DEFAULT_MAX_PAYLOAD_SIZE;
+    this.origin = null;
+    this.messages = [];
+    this.subscriptions = {};
+    this.responses = [];
+    this.nextId = 1;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Starts listening on a free port on 127.0.0.1.
+   *
+   * @return {Promise} A promise that resolves with this push service once
+   *                   <code>origin</code> is set
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', () => {
+        this.server.removeListener('error', reject);
+        this.origin = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stops listening.
+   *
+   * @return {Promise} A promise that resolves once the server has closed
+   */
+  stop() {
+    return new Promise((resolve, reject) => {
+      this.server.close(err => err ? reject(err) : resolve());
+    });
+  }
+
+  /**
+   * Creates a subscription, with new keys, that this push service will accept
+   * messages for.
+   *
+   * @return {Object} The subscription in the form of
+   *                  <code>PushSubscription.toJSON()</code>, with an http
+   *                  endpoint
+   */
+  createSubscription() {
+    if (!this.origin) {
+      throw new Error('Call start() before creating subscriptions.');
+    }
+
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const authSecret = crypto.randomBytes(16);
+    const endpoint = `${this.origin}/push/${this.nextId++}`;
+
+    this.subscriptions[endpoint] = {
+      privateKey: ecdh.getPrivateKey(),
+      authSecret: authSecret,
+      expired: false
+    };
+
+    return {
+      endpoint: endpoint,
+      expirationTime: null,
+      keys: {
+        p256dh: utils.ub64(ecdh.getPublicKey()),
+        auth: utils.ub64(authSecret)
+      }
+    };
+  }
+
+  /**
+   * Expires a subscription, so that later messages for it get a 410 Gone
+   * response, as if the user had unsubscribed.
+   *
+   * @param {Object|String} subscription The subscription or its endpoint
+   */
+  expireSubscription(subscription) {
+    const endpoint = typeof subscription === 'string' ?
+      subscription : subscription.endpoint;
+    if (!this.subscriptions[endpoint]) {
+      throw new Error(`${endpoint} is not a subscription of this push ` +
+        `service.`);
+    }
+    this.subscriptions[endpoint].expired = true;
+  }
+
+  /**
+   * Scripts the response to the next request. Each call queues one
+   * response, and requests are handled normally once the queue is empty.
+   *
+   * @param {Object} response The response to give
+   * @param {number} [response.statusCode] The status to respond with instead
+   *                                       of handling the request, such as
+   *                                       429 or 500
+   * @param {Object} [response.headers] Headers to respond with, such as
+   *                                    Retry-After
+   * @param {String} [response.body] The body to respond with
+   * @param {number} [response.delay] How long to wait before responding, in
+   *                                  milliseconds
+   */
+  respondWith(response) {
+    if (!response || typeof response !== 'object') {
+      throw new Error('respondWith() expects a response object.');
+    }
+    this.responses.push(response);
+  }
+
+  /**
+   * Forgets the messages received and any scripted responses, but keeps the
+   * subscriptions.
+   */
+  reset() {
+    this.messages = [];
+    this.responses = [];
+  }
+
+  /**
+   * Handles a request from an application server.
+   *
+   * @private
+   * @param {http.IncomingMessage} req The request
+   * @param {http.ServerResponse}  res The response
+   */
+  handleRequest(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const scripted = this.responses.shift() || {};
+      const respond = () => {
+        let response;
+        if (scripted.statusCode) {
+          response = {statusCode: scripted.statusCode};
+        } else if (req.url.startsWith('/message/')) {
+          response = this.cancelMessage(req);
+        } else {
+          response = this.receiveMessage(req, Buffer.concat(chunks));
+        }
+        res.writeHead(response.statusCode,
+          Object.assign({}, response.headers, scripted.headers));
+        res.end(scripted.body === undefined ? response.body : scripted.body);
+      };
+
+      if (scripted.delay) {
+        setTimeout(respond, scripted.delay);
+      } else {
+        respond();
+      }
+    });
+  }
+
+  /**
+   * Checks and records a message, as described in section 5 of
+   * {@link https://tools.ietf.org/html/rfc8030}
+   *
+   * @private
+   * @param  {http.IncomingMessage} req  The request
+   * @param  {Buffer}               body The request body
+   * @return {Object} The statusCode, headers and body to respond with
+   */
+  receiveMessage(req, body) {
+    const subscription = this.subscriptions[`${this.origin}${req.url}`];
+    if (req.method !== 'POST') {
+      return rejectWith(405, 'The push service only accepts POST requests.');
+    }
+    if (!subscription) {
+      return rejectWith(404, 'There is no subscription at this endpoint.');
+    }
+    if (subscription.expired) {
+      return rejectWith(410, 'The subscription has expired.');
+    }
+
+    let auth;
+    try {
+      auth = this.checkAuthorization(req.headers);
+    } catch (err) {
+      return rejectWith(err.statusCode, err.message);
+    }
+
+    if (body.length > this.maxPayloadSize) {
+      return rejectWith(413, `The body is ${body.length} bytes, but the ` +
+        `push service only accepts ${this.maxPayloadSize} bytes.`);
+    }
+
+    const ttl = req.headers.ttl;
+    if (!/^\d+$/.test(ttl || '')) {
+      return rejectWith(400, 'The TTL header is missing or invalid.');
+    }
+    const urgency = req.headers.urgency || 'normal';
+    if (utils.URGENCIES.indexOf(urgency) === -1) {
+      return rejectWith(400, `Invalid Urgency '${urgency}'.`);
+    }
+    const topic = req.headers.topic;
+    if (topic !== undefined && !utils.TOPIC_PATTERN.test(topic)) {
+      return rejectWith(400, 'The Topic header must be up to 32 URL safe ' +
+        'base64 characters.');
+    }
+
+    const encoding = req.headers['content-encoding'];
+    let payload = null;
+    if (body.length > 0) {
+      try {
+        payload = decryptMessage(body, encoding, req.headers, subscription);
+      } catch (err) {
+        return rejectWith(400, `The payload could not be decrypted: ` +
+          `${err.message}`);
+      }
+    }
+
+    const location = `${this.origin}/message/${this.nextId++}`;
+    this.messages.push({
+      location: location,
+      cancelled: false,
+      endpoint: `${this.origin}${req.url}`,
+      headers: req.headers,
+      ttl: parseInt(ttl, 10),
+      urgency: urgency,
+      topic: topic,
+      encoding: payload ? encoding : undefined,
+      auth: auth,
+      body: body,
+      payload: payload
+    });
+
+    return {
+      statusCode: 201,
+      headers: {
+        Location: location,
+        TTL: ttl
+      }
+    };
+  }
+
+  /**
+   * Cancels a message, as described in section 6.2 of
+   * {@link https://tools.ietf.org/html/rfc8030}. The message stays in
+   * <code>messages</code> with <code>cancelled</code> set.
+   *
+   * @private
+   * @param  {http.IncomingMessage} req The request
+   * @return {Object} The statusCode, headers and body to respond with
+   */
+  cancelMessage(req) {
+    if (req.method !== 'DELETE') {
+      return rejectWith(405, 'Messages can only be deleted.');
+    }
+
+    const location = `${this.origin}${req.url}`;
+    const message = this.messages.filter(message => {
+      return message.location === location && !message.cancelled;
+    })[0];
+    if (!message) {
+      return rejectWith(404, 'There is no undelivered message at this ' +
+        'location.');
+    }
+
+    try {
+      this.checkAuthorization(req.headers);
+    } catch (err) {
+      return rejectWith(err.statusCode, err.message);
+    }
+
+    message.cancelled = true;
+    return {statusCode: 204};
+  }
+
+  /**
+   * Checks the Authorization header against the keys this push service was
+   * created with.
+   *
+   * @private
+   * @param  {Object} headers The request headers
+   * @return {Object|null} The type ('vapid' or 'gcm') and details of the
+   *                       credentials, or null if there weren't any
+   * @throws {Error} With the statusCode to respond with if the credentials
+   *                 are missing or invalid
+   */
+  checkAuthorization(headers) {
+    const authorization = headers.authorization;
+    const fail = (statusCode, message) => {
+      const error = new Error(message);
+      error.statusCode = statusCode;
+      throw error;
+    };
+
+    if (!authorization) {
+      if (this.vapidPublicKey || this.gcmAPIKey) {
+        fail(401, 'The request has no Authorization header.');
+      }
+      return null;
+    }
+
+    if (authorization.startsWith('key=')) {
+      if (!this.gcmAPIKey || authorization !== `key=${this.gcmAPIKey}`) {
+        fail(401, 'The GCM API key is invalid.');
+      }
+      return {type: 'gcm', key: this.gcmAPIKey};
+    }
+
+    let details;
+    try {
+      details = vapid.verifyVapidHeaders(headers, this.origin);
+    } catch (err) {
+      fail(401, err.message);
+    }
+    if (this.vapidPublicKey && details.publicKey !==
+        utils.ub64(new Buffer(this.vapidPublicKey, 'base64'))) {
+      fail(403, 'The VAPID key does not match the subscription\'s ' +
+        'applicationServerKey.');
+    }
+    return Object.assign({type: 'vapid'}, details);
+  }
+}
+
+/**
+ * Creates a response that rejects a message.
+ *
+ * @private
+ * @param  {number} statusCode The status to respond with
+ * @param  {String} message    Why the message was rejected
+ * @return {Object} The statusCode, headers and body to respond with
+ */
+function rejectWith(statusCode, message) {
+  return {
+    statusCode: statusCode,
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify({code: statusCode, message: message})
+  };
+}
+
+/**
+ * Decrypts a payload in the way the browser would.
+ *
+ * @private
+ * @param  {Buffer} body         The request body
+ * @param  {String} encoding     The Content-Encoding header
+ * @param  {Object} headers      The request headers
+ * @param  {Object} subscription The subscription's keys
+ * @return {Buffer} The decrypted message
+ * @throws {Error} If the payload can't be decrypted
+ */
+function decryptMessage(body, encoding, headers, subscription) {
+  const options = {
+    privateKey: subscription.privateKey,
+    authSecret: subscription.authSecret,
+    encoding: encoding
+  };
+
+  if (encoding === 'aesgcm' || encoding === 'aesgcm128') {
+    // aesgcm128 sends the server's key in Encryption-Key rather than Crypto-Key
+    const keyHeader = encoding === 'aesgcm' ? 'Crypto-Key' : 'Encryption-Key';
+    const salt = /(?:^|[;,])\s*salt=([^;,]+)/.exec(headers.encryption || '');
+    const dh = /(?:^|[;,])\s*dh=([^;,]+)/
+      .exec(headers[keyHeader.toLowerCase()] || '');
+    if (!salt || !dh) {
+      throw new Error(`${encoding} messages need the Encryption and ` +
+        `${keyHeader} headers.`);
+    }
+    options.salt = salt[1];
+    options.serverPublicKey = dh[1];
+  } else if (encoding !== 'aes128gcm') {
+    throw new Error(`Unsupported Content-Encoding '${encoding}'.`);
+  }
+
+  return encryption.decrypt(body, options);
+}
+
+module.exports = {MockPushService};
@@ -0,0 +1,369 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const encrypt = require('./encrypt').encrypt;
+const errors = require('./errors');
+const restoreBuffers = require('./utils').restoreBuffers;
+
+const WORKER_PATH = path.join(__dirname, 'encrypt-worker.js');
+
+// The options of encrypt() that are passed on to the workers. Anything else,
+// such as a transport function, can't be posted to a worker.
+const ENCRYPT_OPTIONS = ['paddingLength', 'padding', 'encoding',
+  'unsafeDeterministic'];
+
+// The errors encrypt() throws, which are recreated when a worker throws them
+const WORKER_ERRORS = {
+  WebPushError: errors.WebPushError,
+  ValidationError: errors.ValidationError
+};
+
+// Node 10 only has worker_threads with --experimental-worker
+let workerThreads = null;
+try {
+  workerThreads = require('worker_threads');
+} catch (err) {
+  // Fall back to encrypting on the main thread
+}
+
+// The pool used by encryptAsync() when it isn't given one
+let defaultPool = null;
+
+/**
+ * Encrypts messages on a pool of worker threads, so that encrypting for many
+ * subscriptions at once doesn't block the event loop. The output is the same
+ * as encrypt()'s.
+ *
+ * Where worker_threads isn't available, such as Node 10 without the
+ * <code>--experimental-worker</code> flag, messages are encrypted on the
+ * main thread one at a time, yielding to the event loop between each one.
+ * <code>usesWorkers</code> says which is being used.
+ *
+ * Idle workers don't keep the process alive, but close() should be called to
+ * shut the pool down cleanly.
+ *
+ * @memberof web-push-encryption
+ */
+class EncryptionPool {
+  /**
+   * @param {Object} [options] Options for the pool
+   * @param {number} [options.size] The most worker threads to start.
+   *                                Defaults to the number of CPUs.
+   * @throws {ValidationError} If the size is invalid
+   */
+  constructor(options) {
+    options = options || {};
+    const size = options.size === undefined ? os.cpus().length : options.size;
+    if (typeof size !== 'number' || Math.floor(size) !== size || size < 1) {
+      throw new errors.ValidationError('The pool size must be a whole ' +
+        'number of at least 1.', 'invalid-pool-size');
+    }
+
+    this.size = size;
+    this.usesWorkers = workerThreads !== null;
+    this.slots = [];
+    this.queue = [];
+    this.busy = false;
+    this.closed = false;
+    this.onClosed = null;
+    this.resolveClosed = null;
+  }
+
+  /**
+   * Encrypts a message. See encrypt().
+   *
+   * @param  {String|Buffer} message      The message to encrypt
+   * @param  {Object}        subscription The subscription to encrypt it for
+   * @param  {Object|number} [options]    The options for encrypt()
+   * @return {Promise} A promise that resolves with the ciphertext, salt and
+   *                   serverPublicKey, or rejects with the error encrypt()
+   *                   would throw
+   */
+  encrypt(message, subscription, options) {
+    if (this.closed) {
+      return Promise.reject(new errors.WebPushError('The encryption pool ' +
+        'has been closed.', 'pool-closed'));
+    }
+
+    if (typeof options !== 'object' || options === null) {
+      options = options === undefined ? {} : {paddingLength: options};
+    }
+    const encryptOptions = {};
+    ENCRYPT_OPTIONS.forEach(name => {
+      if (options[name] !== undefined) {
+        encryptOptions[name] = options[name];
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        message: message,
+        subscription: subscription,
+        options: encryptOptions,
+        resolve: resolve,
+        reject: reject
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Stops accepting messages, waits for the ones already queued to be
+   * encrypted and then stops the workers.
+   *
+   * @return {Promise} A promise that resolves once the pool has shut down
+   */
+  close() {
+    if (!this.onClosed) {
+      this.closed = true;
+      this.onClosed = new Promise(resolve => {
+        this.resolveClosed = resolve;
+      });
+      this.dispatch();
+    }
+    return this.onClosed;
+  }
+
+  /**
+   * Starts as many queued tasks as there are free workers, and finishes
+   * closing the pool once there's nothing left to do.
+   *
+   * @private
+   */
+  dispatch() {
+    if (this.usesWorkers) {
+      this.dispatchToWorkers();
+    } else {
+      this.dispatchOnMainThread();
+    }
+
+    const isIdle = this.queue.length === 0 && !this.busy &&
+      this.slots.every(slot => !slot.task);
+    if (this.closed && isIdle && this.resolveClosed) {
+      const resolveClosed = this.resolveClosed;
+      this.resolveClosed = null;
+      Promise.all(this.slots.map(slot => terminate(slot.worker)))
+        .then(() => resolveClosed());
+      this.slots = [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  dispatchToWorkers() {
+    while (this.queue.length > 0) {
+      let slot = this.slots.filter(candidate => !candidate.task)[0];
+      if (!slot && this.slots.length < this.size) {
+        slot = this.createWorker();
+      }
+      if (!slot) {
+        return;
+      }
+
+      const task = this.queue.shift();
+      slot.task = task;
+      slot.worker.ref();
+      try {
+        slot.worker.postMessage({
+          message: task.message,
+          subscription: task.subscription,
+          options: task.options
+        });
+      } catch (err) {
+        // The task couldn't be copied to the worker
+        slot.task = null;
+        slot.worker.unref();
+        task.reject(err);
+      }
+    }
+  }
+
+  /**
+   * Encrypts the next task, then lets the event loop run before the one after.
+   *
+   * @private
+   */
+  dispatchOnMainThread() {
+    if (this.busy || this.queue.length === 0) {
+      return;
+    }
+
+    this.busy = true;
+    setImmediate(() => {
+      const task = this.queue.shift();
+      try {
+        task.resolve(encrypt(task.message, task.subscription, task.options));
+      } catch (err) {
+        task.reject(err);
+      }
+      this.busy = false;
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Starts a worker and adds it to the pool.
+   *
+   * @private
+   * @return {Object} The slot for the worker, which holds the task it's
+   *                  working on
+   */
+  createWorker() {
+    const slot = {worker: new workerThreads.Worker(WORKER_PATH), task: null};
+
+    // Finishes the slot's task and moves on to the next one
+    const finish = (err, result) => {
+      const task = slot.task;
+      slot.task = null;
+      slot.worker.unref();
+      if (task) {
+        if (err) {
+          task.reject(err);
+        } else {
+          task.resolve(result);
+        }
+      }
+      this.dispatch();
+    };
+
+    // A worker that stops unexpectedly is replaced by the next dispatch()
+    const remove = err => {
+      const index = this.slots.indexOf(slot);
+      if (index === -1) {
+        return;
+      }
+      this.slots.splice(index, 1);
+      finish(err || new Error('The encryption worker stopped ' +
+        'unexpectedly.'));
+    };
+
+    slot.worker.on('message', response => {
+      if (response.error) {
+        finish(createError(response.error));
+      } else {
+        finish(null, restoreBuffers(response.result));
+      }
+    });
+    slot.worker.on('error', remove);
+    slot.worker.on('exit', () => remove());
+    slot.worker.unref();
+
+    this.slots.push(slot);
+    return slot;
+  }
+}
+
+/**
+ * Encrypts a message without blocking the event loop. This is the same as
+ * encrypt(), but runs on a pool of worker threads. See EncryptionPool.
+ *
+ * @memberof web-push-encryption
+ * @param  {String|Buffer} message      The message to encrypt
+ * @param  {Object}        subscription The subscription to encrypt it for
+ * @param  {Object|number} [options]    The options for encrypt(), plus the
+ *                                      one below
+ * @param  {EncryptionPool} [options.encryptionPool] The pool to use.
+ *                                                   Defaults to a shared
+ *                                                   pool, which
+ *                                                   closeEncryptionPool()
+ *                                                   shuts down.
+ * @return {Promise} A promise that resolves with the ciphertext, salt and
+ *                   serverPublicKey
+ */
+function encryptAsync(message, subscription, options) {
+  return getPool(options && options.encryptionPool)
+    .encrypt(message, subscription, options);
+}
+
+/**
+ * @private
+ * @param  {EncryptionPool|boolean} [pool] A pool, or true or undefined for the
+ *                                         shared pool
+ * @return {EncryptionPool} The pool to use
+ */
+function getPool(pool) {
+  if (pool instanceof EncryptionPool) {
+    return pool;
+  }
+  if (pool !== undefined && pool !== true) {
+    throw new errors.ValidationError('encryptionPool must be an ' +
+      'EncryptionPool or true to use the shared pool.',
+      'invalid-encryption-pool');
+  }
+  if (!defaultPool) {
+    defaultPool = new EncryptionPool();
+  }
+  return defaultPool;
+}
+
+/**
+ * Shuts down the shared pool used by encryptAsync(), once the messages it's
+ * encrypting are done. A new pool is started if encryptAsync() is called
+ * again.
+ *
+ * @memberof web-push-encryption
+ * @return {Promise} A promise that resolves once the pool has shut down
+ */
+function closeEncryptionPool() {
+  if (!defaultPool) {
+    return Promise.resolve();
+  }
+  const pool = defaultPool;
+  defaultPool = null;
+  return pool.close();
+}
+
+/**
+ * Recreates an error that was thrown in a worker.
+ *
+ * @private
+ * @param  {Object} error The name, message and code of the error
+ * @return {Error} The error
+ */
+function createError(error) {
+  const ErrorClass = WORKER_ERRORS[error.name];
+  if (ErrorClass) {
+    return new ErrorClass(error.message, error.code);
+  }
+
+  const err = new Error(error.message);
+  err.code = error.code;
+  return err;
+}
+
+/**
+ * @private
+ * @param  {Worker} worker The worker to stop
+ * @return {Promise} A promise that resolves once it has stopped
+ */
+function terminate(worker) {
+  return new Promise(resolve => {
+    worker.once('exit', () => resolve());
+    worker.terminate();
+  });
+}
+
+module.exports = {
+  EncryptionPool,
+  encryptAsync,
+  getPool,
+  closeEncryptionPool
+};
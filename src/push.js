@@ -16,37 +16,187 @@
 
 'use strict';
 
-const request = require('request');
-const encrypt = require('./encrypt');
+const url = require('url');
+const encrypt = require('./encrypt').encrypt;
+const errors = require('./errors');
+const events = require('./events');
+const pool = require('./pool');
+const services = require('./services');
+const httpsTransport = require('./transport').httpsTransport;
+const utils = require('./utils');
+const vapid = require('./vapid');
 
-const GCM_URL = 'https://android.googleapis.com/gcm/send';
-const TEMP_GCM_URL = 'https://gcm-http.googleapis.com/gcm';
+// How long the push service should keep a message for an offline device, in
+// seconds. Four weeks is the longest most push services will keep a message.
+const DEFAULT_TTL = 4 * 7 * 24 * 60 * 60;
 
-let gcmAuthToken;
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 1000,
+  maxDelay: 60 * 1000,
+  jitter: 0.5
+};
+const RETRYABLE_STATUS_CODES = [500, 502, 503, 504];
+
+// The error to use for each of the codes a rejected response can map to
+const RESPONSE_ERRORS = {
+  'expired-subscription': errors.SubscriptionGoneError,
+  'authentication-failed': errors.AuthenticationError,
+  'payload-too-large': errors.PayloadTooLargeError,
+  'rate-limited': errors.RateLimitedError,
+  'push-service-error': errors.PushServiceError,
+  'invalid-request': errors.InvalidRequestError
+};
 
 /**
- * Set the key to use in the Authentication header for GCM requests
- * @param {String} key The API key to use
- * @throws {Error} If the key is invalid
+ * Builds the HTTP request needed to send a message using the Web Push
+ * protocol, without sending it. This is useful if you want to send the request
+ * with your own HTTP library or queue it to be sent later.
+ *
+ * @memberof web-push-encryption
+ * @param  {String|Buffer} message      The message to send
+ * @param  {Object}   subscription The subscription details for the client we
+ *                                 are sending to
+ * @param {Object|Number} [options] Options for encrypting the message. For
+ *                                  backwards compatibility this can also be
+ *                                  the number of bytes of padding to add to
+ *                                  the message before encrypting it.
+ * @param {Number}    [options.paddingLength] The number of bytes of padding to
+ *                                            add to the message before
+ *                                            encrypting it.
+ * @param {Object|String} [options.padding] A padding strategy that hides
+ *                                          the length of the message. See
+ *                                          encrypt().
+ * @param {String}    [options.encoding] The content encoding to use, one of
+ *                                       'aes128gcm', 'aesgcm' or 'aesgcm128'.
+ *                                       Defaults to the push service's
+ *                                       preferred encoding.
+ * @param {Object}    [options.vapidDetails] The subject, publicKey, privateKey
+ *                                           and optional expiration used to
+ *                                           identify this server with VAPID.
+ *                                           See getVapidHeaders().
+ * @param {String}    [options.gcmAPIKey] The GCM API key to use for push
+ *                                        services that accept it when there
+ *                                        are no vapidDetails
+ * @param {Number}    [options.ttl] How long, in seconds, the push service
+ *                                  should try to deliver the message for.
+ *                                  Defaults to four weeks.
+ * @param {String}    [options.urgency] One of 'very-low', 'low', 'normal' or
+ *                                      'high'
+ * @param {String}    [options.topic] Up to 32 URL safe base64 characters.
+ *                                    A message replaces any undelivered
+ *                                    message with the same topic.
+ * @return {Object} The method, endpoint, headers and body of the request. The
+ *                  body is undefined if there is no message.
  */
-function setGCMAPIKey(key) {
-  if (!key.startsWith('AIza') || key.length !== 40) {
-    throw new Error('expected Server API Key in the form AIza..., 40 characters long');
+function generateRequestDetails(message, subscription, options) {
+  const request = prepareRequest(message, subscription, options);
+  const payload = request.encryptOptions ?
+    encrypt(message, subscription, request.encryptOptions) : null;
+  return completeRequest(request, payload);
+}
+
+/**
+ * Checks the input and creates the headers that don't depend on the
+ * encrypted payload.
+ *
+ * @private
+ * @param  {String|Buffer} message      The message to send
+ * @param  {Object}        subscription The subscription to send it to
+ * @param  {Object|Number} [options]    The options for
+ *                                      generateRequestDetails()
+ * @return {Object} The push service, endpoint, encoding, headers and options,
+ *                  and the options to encrypt the message with if there is
+ *                  one
+ */
+function prepareRequest(message, subscription, options) {
+  if (!subscription || !subscription.endpoint) {
+    throw new errors.ValidationError('generateRequestDetails() expects a ' +
+      'subscription endpoint with an endpoint parameter.', 'missing-endpoint');
+  }
+
+  // The push service's profile decides where the request actually goes and
+  // what it needs. See registerPushService().
+  const service = services.getPushService(subscription.endpoint);
+  options = normalizeOptions(options);
+  const encoding = options.encoding || service.encoding;
+  const request = {
+    service: service,
+    endpoint: service.rewriteEndpoint ?
+      service.rewriteEndpoint(subscription.endpoint) : subscription.endpoint,
+    encoding: encoding,
+    headers: createMessageHeaders(options),
+    options: options,
+    encryptOptions: null
+  };
+
+  if (message) {
+    if (typeof message !== 'string' && !(message instanceof Buffer)) {
+      throw new errors.ValidationError('Message must be a String or a Buffer',
+        'invalid-message');
+    }
+    if (message.length > 0) {
+      request.encryptOptions = {
+        paddingLength: options.paddingLength,
+        padding: options.padding,
+        encoding: encoding
+      };
+    }
   }
-  gcmAuthToken = key;
+
+  return request;
 }
 
 /**
- * URL safe Base64 encoder
+ * Adds the encrypted payload and the Authorization header to a request.
  *
  * @private
- * @param  {Buffer} buffer The data to encode
- * @return {String} URL safe base 64 encoded string
+ * @param  {Object} request The request from prepareRequest()
+ * @param  {Object} [payload] The encrypted message, if there is one
+ * @return {Object} The method, endpoint, headers and body of the request
  */
-function ub64(buffer) {
-  return buffer.toString('base64').replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/\=/g, '');
+function completeRequest(request, payload) {
+  const service = request.service;
+  const encoding = request.encoding;
+  const headers = request.headers;
+  let body;
+
+  if (payload) {
+    headers['Content-Encoding'] = encoding;
+    if (encoding === 'aesgcm' || encoding === 'aesgcm128') {
+      // The older encodings send the salt and key in headers, aes128gcm has
+      // them in the body. aesgcm128 predates the Crypto-Key header.
+      headers.Encryption = `salt=${utils.ub64(payload.salt)}`;
+      headers[encoding === 'aesgcm' ? 'Crypto-Key' : 'Encryption-Key'] =
+        `dh=${utils.ub64(payload.serverPublicKey)}`;
+    }
+    body = payload.ciphertext;
+
+    if (body.length > service.maxPayloadSize) {
+      throw new errors.ValidationError(`The encrypted message is ` +
+        `${body.length} bytes, but the ${service.name} push service only ` +
+        `accepts ${service.maxPayloadSize} bytes.`, 'payload-too-large');
+    }
+  }
+
+  const authHeaders = createAuthHeaders(request.endpoint, service, encoding,
+    request.options);
+  if (authHeaders.Authorization) {
+    headers.Authorization = authHeaders.Authorization;
+  }
+  if (authHeaders['Crypto-Key']) {
+    // The aesgcm form of VAPID shares the Crypto-Key header with the dh key
+    headers['Crypto-Key'] = headers['Crypto-Key'] ?
+      `${headers['Crypto-Key']};${authHeaders['Crypto-Key']}` :
+      authHeaders['Crypto-Key'];
+  }
+
+  return {
+    method: 'POST',
+    endpoint: request.endpoint,
+    headers: headers,
+    body: body
+  };
 }
 
 /**
@@ -56,75 +206,487 @@ function ub64(buffer) {
  * @param  {String|Buffer} message      The message to send
  * @param  {Object}   subscription The subscription details for the client we
  *                                 are sending to
- * @param {Number}    paddingLength The number of bytes of padding to add to the
- *                                  message before encrypting it.
+ * @param {Object|Number} [options] The same options as
+ *                                  generateRequestDetails(), plus the
+ *                                  options below
+ * @param {Function}  [options.transport] The function used to send the
+ *                                        request. Defaults to
+ *                                        httpsTransport().
+ * @param {Number}    [options.timeout] How long to wait for the push service
+ *                                      to respond, in milliseconds
+ * @param {String}    [options.proxy] The URL of an HTTP proxy to send the
+ *                                    request through
+ * @param {http.Agent} [options.agent] The agent to send the request with, so
+ *                                     that connections can be reused, also
+ *                                     through a proxy
+ * @param {String|Buffer|Array} [options.ca] Certificate authorities to trust
+ *                                           instead of the defaults
+ * @param {Object|boolean} [options.retry] Retry requests that fail with a
+ *                                         429, a 5xx or a network error.
+ *                                         Pass true to use the defaults.
+ * @param {Number}    [options.retry.maxAttempts] How many times to try,
+ *                                                including the first attempt.
+ *                                                Defaults to 3.
+ * @param {Number}    [options.retry.baseDelay] The delay before the first
+ *                                              retry in milliseconds, which
+ *                                              doubles for each retry.
+ *                                              Defaults to 1000.
+ * @param {Number}    [options.retry.maxDelay] The longest we'll wait before a
+ *                                             retry, including when the push
+ *                                             service sends Retry-After.
+ *                                             Defaults to 60000.
+ * @param {Number}    [options.retry.jitter] How much of each delay, from 0 to
+ *                                           1, is randomised. Defaults to 0.5.
+ * @param {EncryptionPool|boolean} [options.encryptionPool] Encrypt the
+ *                                          message on this pool of worker
+ *                                          threads, or on the shared pool if
+ *                                          true, rather than blocking the
+ *                                          event loop. See encryptAsync().
+ *                                          Invalid subscription keys then
+ *                                          reject rather than throw.
+ * @param {EventEmitter} [options.events] Where to emit events about the
+ *                                        send: 'encrypt:start',
+ *                                        'encrypt:end', 'request:start',
+ *                                        'response', 'retry' and
+ *                                        'subscription:gone'. A
+ *                                        WebPushClient emits its own.
+ * @param {boolean}   [options.redactEndpoints] Set to false to include the
+ *                                              whole endpoint in events,
+ *                                              rather than just its origin
  * @return {Promise} A promise that resolves if the push was sent successfully
- *                   with status and body.
+ *                   with status and body, the number of attempts it took, the
+ *                   ttl the push service accepted if it returned one, and the
+ *                   location of the message, which can be passed to
+ *                   cancelWebPush(), if the push service returned one. If
+ *                   the push service rejects the message it rejects with a
+ *                   PushResponseError.
  */
-function sendWebPush(message, subscription, paddingLength) {
+function sendWebPush(message, subscription, options) {
   if (!subscription || !subscription.endpoint) {
-    throw new Error('sendWebPush() expects a subscription endpoint with ' +
-      'an endpoint parameter.');
+    throw new errors.ValidationError('sendWebPush() expects a subscription ' +
+      'endpoint with an endpoint parameter.', 'missing-endpoint');
   }
 
-  // If the endpoint is GCM then we temporarily need to rewrite it, as not all
-  // GCM servers support the Web Push protocol. This should go away in the
-  // future.
-  const endpoint = subscription.endpoint.replace(GCM_URL, TEMP_GCM_URL);
-  const headers = {
-    // TODO: Make TTL variable
-    TTL: '0'
-  };
-  let body;
+  options = normalizeOptions(options);
+  const retryPolicy = normalizeRetryPolicy(options.retry);
+  const transport = options.transport || httpsTransport;
+  const service = services.getPushService(subscription.endpoint);
 
-  if (message) {
-    if (typeof message != 'string' && !(message instanceof Buffer)) {
-      throw new Error('Message must be a String or a Buffer');
-    }
-    if (message.length > 0) {
-      const payload = encrypt(message, subscription, paddingLength);
-      headers['Content-Encoding'] = 'aesgcm';
-      headers.Encryption = `salt=${ub64(payload.salt)}`;
-      headers['Crypto-Key'] = `dh=${ub64(payload.serverPublicKey)}`;
-      body = payload.ciphertext;
+  const report = events.createReporter(options, subscription.endpoint,
+    service);
+
+  // Encrypt the message again for every attempt, so that each one has a fresh
+  // salt and key rather than sending the same ciphertext twice.
+  const createRequest = attempts => {
+    const request = prepareRequest(message, subscription, options);
+    if (!request.encryptOptions) {
+      return completeRequest(request, null);
     }
-  }
 
-  if (endpoint.indexOf(TEMP_GCM_URL) !== -1) {
-    if (gcmAuthToken) {
-      headers.Authorization = `key=${gcmAuthToken}`;
-    } else {
-      throw new Error('GCM requires an Auth Token parameter');
+    const payloadSize = typeof message === 'string' ?
+      Buffer.byteLength(message) : message.length;
+    const started = Date.now();
+    report('encrypt:start', {
+      attempt: attempts,
+      encoding: request.encoding,
+      payloadSize: payloadSize
+    });
+    const finish = payload => {
+      const details = completeRequest(request, payload);
+      report('encrypt:end', {
+        attempt: attempts,
+        encoding: request.encoding,
+        payloadSize: payloadSize,
+        paddingLength: payload.paddingLength,
+        bodySize: details.body.length,
+        duration: Date.now() - started
+      });
+      return details;
+    };
+
+    if (options.encryptionPool) {
+      return pool.getPool(options.encryptionPool)
+        .encrypt(message, subscription, request.encryptOptions)
+        .then(finish);
     }
-  }
+    return finish(encrypt(message, subscription, request.encryptOptions));
+  };
 
-  return new Promise(function(resolve, reject) {
-    request.post(endpoint, {
-      body: body,
-      headers: headers
-    }, function(error, response, body) {
-      if (error) {
-        reject(error);
-      } else {
-        if (response.statusCode >= 400 && response.statusCode < 500) {
-          // Subscription is invalid:
-          // https://tools.ietf.org/html/draft-ietf-webpush-protocol-04#section-8.3
-          return reject({
-            code: 'expired-subscription',
-            statusCode: response.statusCode,
-            statusMessage: response.statusMessage,
-            body: body
+  const attempt = (request, attempts) => {
+    let details;
+    let started;
+    return Promise.resolve(request)
+    .then(result => {
+      details = result;
+      report('request:start', {attempt: attempts, method: details.method});
+      started = Date.now();
+      return transport(details, {
+        timeout: options.timeout,
+        proxy: options.proxy,
+        agent: options.agent,
+        ca: options.ca
+      })
+      .then(response => {
+        report('response', {
+          attempt: attempts,
+          statusCode: response.statusCode,
+          latency: Date.now() - started
+        });
+        return response;
+      }, err => {
+        report('response', {
+          attempt: attempts,
+          statusCode: null,
+          error: getErrorCode(err),
+          latency: Date.now() - started
+        });
+        return Promise.reject(err);
+      });
+    })
+    .then(response => {
+      if (response.statusCode >= 400) {
+        const err = createResponseError(response, subscription.endpoint,
+          service);
+        if (err instanceof errors.SubscriptionGoneError) {
+          report('subscription:gone', {
+            attempt: attempts,
+            statusCode: response.statusCode
           });
         }
+        return Promise.reject(err);
+      }
 
-        resolve({
-          statusCode: response.statusCode,
-          statusMessage: response.statusMessage,
-          body: body
-        });
+      const result = {
+        statusCode: response.statusCode,
+        statusMessage: response.statusMessage,
+        body: response.body,
+        attempts: attempts
+      };
+
+      // The push service may have lowered the TTL we asked for
+      const ttl = response.headers && response.headers.ttl;
+      if (ttl !== undefined) {
+        result.ttl = parseInt(ttl, 10);
+      }
+
+      // The URL of the message resource. See section 5 of RFC 8030.
+      const location = response.headers && response.headers.location;
+      if (location) {
+        result.location = url.resolve(details.endpoint, location);
+      }
+
+      return result;
+    })
+    .catch(err => {
+      const delay = getRetryDelay(err, attempts, retryPolicy);
+      if (delay === null) {
+        if (err instanceof Error) {
+          err.attempts = attempts;
+        }
+        return Promise.reject(err);
       }
+
+      report('retry', {
+        attempt: attempts,
+        delay: delay,
+        reason: getErrorCode(err)
+      });
+      return new Promise(resolve => setTimeout(resolve, delay))
+        .then(() => attempt(createRequest(attempts + 1), attempts + 1));
     });
+  };
+
+  // The first request is created straight away so that invalid input throws
+  // rather than rejecting.
+  return attempt(createRequest(1), 1);
+}
+
+/**
+ * Cancels a message that hasn't been delivered yet, such as a reminder that
+ * is no longer relevant. See section 6.2 of
+ * {@link https://tools.ietf.org/html/rfc8030}
+ *
+ * To replace a message rather than cancel it, send the new message with the
+ * same topic instead.
+ *
+ * @memberof web-push-encryption
+ * @param  {String} location The location of the message, from the result of
+ *                           sendWebPush()
+ * @param  {Object} [options] The credentials the message was sent with, and
+ *                            how to send the request
+ * @param  {Object} [options.vapidDetails] The VAPID details the message was
+ *                                         sent with
+ * @param  {String} [options.gcmAPIKey] The GCM API key the message was sent
+ *                                      with
+ * @param  {String} [options.encoding] The content encoding the message was
+ *                                     sent with, which decides the form of
+ *                                     the VAPID headers
+ * @param  {Function} [options.transport] The function used to send the
+ *                                        request. Defaults to
+ *                                        httpsTransport().
+ * @param  {Number} [options.timeout] How long to wait for the push service
+ *                                    to respond, in milliseconds
+ * @param  {String} [options.proxy] The URL of an HTTP proxy to send the
+ *                                  request through
+ * @param  {http.Agent} [options.agent] The agent to send the request with
+ * @param  {String|Buffer|Array} [options.ca] Certificate authorities to trust
+ *                                            instead of the defaults
+ * @return {Promise} A promise that resolves with the statusCode,
+ *                   statusMessage and whether the message was
+ *                   <code>cancelled</code>, which is false if it had already
+ *                   been delivered or expired. If the push service rejects
+ *                   the request it rejects with a PushResponseError.
+ */
+function cancelWebPush(location, options) {
+  const parsedLocation = typeof location === 'string' ? url.parse(location) :
+    {};
+  if (['https:', 'http:'].indexOf(parsedLocation.protocol) === -1 ||
+      !parsedLocation.host) {
+    throw new errors.ValidationError('cancelWebPush() expects the URL of a ' +
+      'message, from the location in the result of sendWebPush().',
+      'invalid-location');
+  }
+
+  options = options || {};
+  const transport = options.transport || httpsTransport;
+  const service = services.getPushService(location);
+  const details = {
+    method: 'DELETE',
+    endpoint: location,
+    headers: createAuthHeaders(location, service,
+      options.encoding || service.encoding, options)
+  };
+
+  return transport(details, {
+    timeout: options.timeout,
+    proxy: options.proxy,
+    agent: options.agent,
+    ca: options.ca
+  })
+  .then(response => {
+    const result = {
+      statusCode: response.statusCode,
+      statusMessage: response.statusMessage
+    };
+
+    // The message has already gone, so there's nothing left to cancel
+    if (response.statusCode === 404 || response.statusCode === 410) {
+      result.cancelled = false;
+      return result;
+    }
+
+    if (response.statusCode >= 400) {
+      return Promise.reject(createResponseError(response, location, service));
+    }
+
+    result.cancelled = true;
+    return result;
   });
 }
 
-module.exports = {sendWebPush, setGCMAPIKey};
+/**
+ * Creates the Authorization header, and for the aesgcm form of VAPID the
+ * Crypto-Key header, that a push service needs.
+ *
+ * @private
+ * @param  {String} endpoint The URL the request will be sent to
+ * @param  {Object} service  The push service's profile
+ * @param  {String} encoding The content encoding of the message
+ * @param  {Object} options  The vapidDetails or gcmAPIKey to use
+ * @return {Object} The headers
+ * @throws {ValidationError} If the push service needs credentials that
+ *                           weren't given
+ */
+function createAuthHeaders(endpoint, service, encoding, options) {
+  if (options.vapidDetails) {
+    return vapid.getVapidHeaders(endpoint, options.vapidDetails, encoding);
+  } else if (service.auth === 'gcm') {
+    if (options.gcmAPIKey) {
+      return {Authorization: `key=${options.gcmAPIKey}`};
+    }
+    throw new errors.ValidationError('GCM requires an Auth Token parameter',
+      'missing-gcm-api-key');
+  } else if (service.auth === 'vapid') {
+    throw new errors.ValidationError(`The ${service.name} push service ` +
+      `requires VAPID. Pass options.vapidDetails.`, 'missing-vapid-details');
+  }
+  return {};
+}
+
+/**
+ * Fills in the defaults for the retry option of sendWebPush().
+ *
+ * @private
+ * @param  {Object|boolean} retry The retry option passed by the caller
+ * @return {Object|null} The retry policy, or null if we shouldn't retry
+ */
+function normalizeRetryPolicy(retry) {
+  if (!retry) {
+    return null;
+  }
+
+  const policy = Object.assign({}, DEFAULT_RETRY_POLICY,
+    retry === true ? {} : retry);
+  if (typeof policy.maxAttempts !== 'number' || policy.maxAttempts < 1) {
+    throw new errors.ValidationError('retry.maxAttempts must be at least 1.',
+      'invalid-retry-policy');
+  }
+  if (typeof policy.jitter !== 'number' || policy.jitter < 0 ||
+      policy.jitter > 1) {
+    throw new errors.ValidationError('retry.jitter must be between 0 and 1.',
+      'invalid-retry-policy');
+  }
+  return policy;
+}
+
+/**
+ * Works out how long to wait before trying a failed request again.
+ *
+ * @private
+ * @param  {Error}  err      Why the request failed
+ * @param  {number} attempts How many attempts have been made so far
+ * @param  {Object} policy   The retry policy, or null if we shouldn't retry
+ * @return {number|null} The delay in milliseconds, or null to give up
+ */
+function getRetryDelay(err, attempts, policy) {
+  if (!policy || attempts >= policy.maxAttempts) {
+    return null;
+  }
+
+  // Anything that isn't one of our errors came from the transport, which
+  // means the request didn't get a response.
+  const isTransient = !(err instanceof errors.WebPushError) ||
+    err instanceof errors.RateLimitedError ||
+    (err instanceof errors.PushServiceError &&
+      RETRYABLE_STATUS_CODES.indexOf(err.statusCode) !== -1);
+  if (!isTransient) {
+    return null;
+  }
+
+  let delay;
+  if (err.retryAfter === undefined) {
+    delay = policy.baseDelay * Math.pow(2, attempts - 1);
+    delay -= delay * policy.jitter * Math.random();
+  } else {
+    delay = err.retryAfter * 1000;
+  }
+
+  // If the push service wants us to wait longer than we're willing to, give up
+  // and let the caller decide what to do.
+  return delay > policy.maxDelay ? null : Math.round(delay);
+}
+
+/**
+ * @private
+ * @param  {*} err Why a request failed, which may not be an Error if a
+ *                 transport rejected with something else
+ * @return {String} The error's code, or its name if it doesn't have one
+ */
+function getErrorCode(err) {
+  return (err && (err.code || err.name)) || String(err);
+}
+
+/**
+ * Creates the error for a response the push service rejected. See section 8 of
+ * {@link https://tools.ietf.org/html/rfc8030}
+ *
+ * @private
+ * @param  {Object} response The response from the transport
+ * @param  {String} endpoint The subscription's endpoint
+ * @param  {Object} service  The push service's profile, which may map the
+ *                           response to a different error
+ * @return {PushResponseError} The error
+ */
+function createResponseError(response, endpoint, service) {
+  const statusCode = response.statusCode;
+  const headers = response.headers || {};
+  const retryAfter = utils.parseRetryAfter(headers['retry-after']);
+  const description = `The push service responded with ${statusCode}` +
+    (response.statusMessage ? ` ${response.statusMessage}` : '');
+
+  let code = service.mapError && service.mapError(response);
+  if (!RESPONSE_ERRORS.hasOwnProperty(code)) {
+    code = getResponseErrorCode(statusCode);
+  }
+
+  return new RESPONSE_ERRORS[code](`${description}.`, code, response,
+    endpoint, retryAfter);
+}
+
+/**
+ * @private
+ * @param  {number} statusCode The status code of a rejected response
+ * @return {String} The code of the error for the status
+ */
+function getResponseErrorCode(statusCode) {
+  if (statusCode === 404 || statusCode === 410) {
+    return 'expired-subscription';
+  } else if (statusCode === 401 || statusCode === 403) {
+    return 'authentication-failed';
+  } else if (statusCode === 413) {
+    return 'payload-too-large';
+  } else if (statusCode === 429) {
+    return 'rate-limited';
+  } else if (statusCode >= 500) {
+    return 'push-service-error';
+  }
+  return 'invalid-request';
+}
+
+/**
+ * Older callers pass the padding length rather than an options object.
+ *
+ * @private
+ * @param  {Object|Number} options The options passed by the caller
+ * @return {Object} options
+ */
+function normalizeOptions(options) {
+  if (typeof options !== 'object' || options === null) {
+    return {paddingLength: options};
+  }
+  return options;
+}
+
+/**
+ * Creates the headers that control how the push service delivers a message.
+ * See sections 5.2 to 5.4 of {@link https://tools.ietf.org/html/rfc8030}
+ *
+ * @private
+ * @param  {Object} options The ttl, urgency and topic passed to sendWebPush()
+ * @return {Object} The TTL header, and the Urgency and Topic headers if set
+ * @throws {Error} If any of the options are invalid
+ */
+function createMessageHeaders(options) {
+  const ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+  if (typeof ttl !== 'number' || ttl < 0 || Math.floor(ttl) !== ttl) {
+    throw new errors.ValidationError('The TTL must be a whole number of ' +
+      'seconds.', 'invalid-ttl');
+  }
+
+  const headers = {
+    TTL: String(ttl)
+  };
+
+  if (options.urgency !== undefined) {
+    if (utils.URGENCIES.indexOf(options.urgency) === -1) {
+      throw new errors.ValidationError(`Unsupported urgency ` +
+        `'${options.urgency}'. Expected one of ` +
+        `${utils.URGENCIES.join(', ')}.`,
+        'invalid-urgency');
+    }
+    headers.Urgency = options.urgency;
+  }
+
+  if (options.topic !== undefined) {
+    if (typeof options.topic !== 'string' ||
+        !utils.TOPIC_PATTERN.test(options.topic)) {
+      throw new errors.ValidationError('The topic must be no more than 32 ' +
+        'characters from the URL safe base64 alphabet.', 'invalid-topic');
+    }
+    headers.Topic = options.topic;
+  }
+
+  return headers;
+}
+
+module.exports = {sendWebPush, cancelWebPush, generateRequestDetails};
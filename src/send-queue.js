@@ -0,0 +1,331 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const errors = require('./errors');
+const push = require('./push');
+const utils = require('./utils');
+
+// The rate is in requests per second. The burst defaults to the rate.
+const DEFAULT_LIMITS = {
+  rate: 100,
+  concurrency: 10
+};
+
+/**
+ * Queues messages so that each push service gets them at a steady pace,
+ * rather than in bursts that it answers with 429 Too Many Requests.
+ *
+ * Messages are grouped by the origin of their endpoint. Each origin has a
+ * token bucket that allows <code>rate</code> requests a second, with bursts
+ * of up to <code>burst</code> requests, and no more than
+ * <code>concurrency</code> requests in flight at once. When a push service
+ * responds with Retry-After, nothing more is sent to it until that time has
+ * passed, and a 429 without one empties its bucket.
+ *
+ * Call close() before the process exits to stop accepting messages and wait
+ * for the queued ones to be sent.
+ *
+ * @memberof web-push-encryption
+ */
+class SendQueue {
+  /**
+   * @param {Object}   [options] Options for the queue
+   * @param {Number}   [options.rate] Requests per second to each push
+   *                                  service. Defaults to 100.
+   * @param {Number}   [options.burst] The most requests to send at once to a
+   *                                   push service that has been idle.
+   *                                   Defaults to the rate.
+   * @param {Number}   [options.concurrency] The most requests to have in
+   *                                         flight to each push service.
+   *                                         Defaults to 10.
+   * @param {Object}   [options.origins] Different rate, burst and concurrency
+   *                                     limits for some push services, by
+   *                                     origin, such as
+   *                                     <code>{'https://fcm.googleapis.com':
+   *                                     {rate: 500}}</code>
+   * @param {Function} [options.send] The function that sends each message.
+   *                                  Defaults to sendWebPush() without a
+   *                                  client, so use createSendQueue() to
+   *                                  send with the key from setGCMAPIKey()
+   *                                  and emit the module's events.
+   * @throws {ValidationError} If any of the limits are invalid
+   */
+  constructor(options) {
+    options = options || {};
+    this.limits = readLimits(options, DEFAULT_LIMITS);
+    this.originLimits = {};
+    Object.keys(options.origins || {}).forEach(origin => {
+      this.originLimits[origin] = readLimits(options.origins[origin],
+        this.limits);
+    });
+
+    this.sendWebPush = options.send || push.sendWebPush;
+    this.origins = new Map();
+    this.closed = false;
+    this.drainCallbacks = [];
+  }
+
+  /**
+   * Queues a message. See sendWebPush().
+   *
+   * @param  {String|Buffer} message      The message to send
+   * @param  {Object}        subscription The subscription to send it to
+   * @param  {Object|Number} [options]    The options for sendWebPush()
+   * @return {Promise} A promise that resolves or rejects with the result of
+   *                   sendWebPush() once the message has been sent, or
+   *                   rejects with a 'queue-closed' WebPushError if the queue
+   *                   has been closed
+   */
+  send(message, subscription, options) {
+    if (this.closed) {
+      return Promise.reject(new errors.WebPushError('The send queue has been ' +
+        'closed.', 'queue-closed'));
+    }
+    if (!subscription || typeof subscription.endpoint !== 'string') {
+      return Promise.reject(new errors.ValidationError('send() expects a ' +
+        'subscription with an endpoint.', 'missing-endpoint'));
+    }
+
+    const state = this.getState(utils.getOrigin(subscription.endpoint));
+    return new Promise((resolve, reject) => {
+      state.queue.push({
+        message: message,
+        subscription: subscription,
+        options: options,
+        resolve: resolve,
+        reject: reject
+      });
+      this.dispatch(state);
+    });
+  }
+
+  /**
+   * Reports how much work is waiting, for monitoring.
+   *
+   * @return {Object} The number of messages <code>queued</code> and
+   *                  <code>active</code> (in flight) in total, and for each
+   *                  origin in <code>origins</code>, which also gives the time
+   *                  it's <code>pausedUntil</code> if a push service sent
+   *                  Retry-After
+   */
+  stats() {
+    const stats = {queued: 0, active: 0, origins: {}};
+    this.origins.forEach((state, origin) => {
+      stats.queued += state.queue.length;
+      stats.active += state.active;
+      stats.origins[origin] = {
+        queued: state.queue.length,
+        active: state.active,
+        pausedUntil: state.pausedUntil > Date.now() ?
+          new Date(state.pausedUntil) : null
+      };
+    });
+    return stats;
+  }
+
+  /**
+   * Waits for the queue to be empty, including messages queued while
+   * waiting.
+   *
+   * @return {Promise} A promise that resolves once every message has been
+   *                   sent
+   */
+  drain() {
+    return new Promise(resolve => {
+      this.drainCallbacks.push(resolve);
+      this.checkDrained();
+    });
+  }
+
+  /**
+   * Stops accepting messages and waits for the queued ones to be sent.
+   *
+   * @return {Promise} A promise that resolves once every message has been
+   *                   sent
+   */
+  close() {
+    this.closed = true;
+    return this.drain();
+  }
+
+  /**
+   * @private
+   * @param  {String} origin The origin of a push service
+   * @return {Object} The queue and token bucket for the origin
+   */
+  getState(origin) {
+    let state = this.origins.get(origin);
+    if (!state) {
+      const limits = this.originLimits[origin] || this.limits;
+      state = {
+        limits: limits,
+        queue: [],
+        active: 0,
+        tokens: limits.burst,
+        refilledAt: Date.now(),
+        pausedUntil: 0,
+        timer: null
+      };
+      this.origins.set(origin, state);
+    }
+    return state;
+  }
+
+  /**
+   * Sends as many of an origin's queued messages as its limits allow, and
+   * sets a timer for when it can send the next one.
+   *
+   * @private
+   * @param {Object} state The origin's queue and token bucket
+   */
+  dispatch(state) {
+    const limits = state.limits;
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    const now = Date.now();
+    state.tokens = Math.min(limits.burst,
+      state.tokens + (now - state.refilledAt) * limits.rate / 1000);
+    state.refilledAt = now;
+
+    // How long until the next message can be sent
+    let wait = 0;
+    while (state.queue.length > 0 && state.active < limits.concurrency) {
+      wait = Math.max(state.pausedUntil - now,
+        (1 - state.tokens) * 1000 / limits.rate);
+      if (wait > 0) {
+        break;
+      }
+      state.tokens--;
+      this.start(state, state.queue.shift());
+    }
+    if (wait > 0) {
+      state.timer = setTimeout(() => this.dispatch(state), Math.ceil(wait));
+    }
+
+    this.checkDrained();
+  }
+
+  /**
+   * @private
+   * @param {Object} state The origin's queue and token bucket
+   * @param {Object} task  The message to send
+   */
+  start(state, task) {
+    state.active++;
+    // sendWebPush() throws for invalid input, which rejects like any other
+    // failure.
+    new Promise(resolve => {
+      resolve(this.sendWebPush(task.message, task.subscription,
+        task.options));
+    })
+    .then(result => {
+      state.active--;
+      task.resolve(result);
+      this.dispatch(state);
+    }, err => {
+      state.active--;
+      this.slowDown(state, err);
+      task.reject(err);
+      this.dispatch(state);
+    });
+  }
+
+  /**
+   * Backs off from a push service that says we're sending too much.
+   *
+   * @private
+   * @param {Object} state The origin's queue and token bucket
+   * @param {*}      err   Why the send failed
+   */
+  slowDown(state, err) {
+    if (err && err.retryAfter !== undefined) {
+      state.pausedUntil = Math.max(state.pausedUntil,
+        Date.now() + err.retryAfter * 1000);
+    } else if (err instanceof errors.RateLimitedError) {
+      state.tokens = 0;
+    }
+  }
+
+  /**
+   * Resolves the promises from drain() once nothing is queued or in flight.
+   *
+   * @private
+   */
+  checkDrained() {
+    if (this.drainCallbacks.length === 0) {
+      return;
+    }
+
+    let isIdle = true;
+    this.origins.forEach(state => {
+      isIdle = isIdle && state.queue.length === 0 && state.active === 0;
+    });
+    if (isIdle) {
+      const callbacks = this.drainCallbacks;
+      this.drainCallbacks = [];
+      callbacks.forEach(callback => callback());
+    }
+  }
+}
+
+/**
+ * Reads the rate, burst and concurrency limits from the options for a queue
+ * or an origin.
+ *
+ * @private
+ * @param  {Object} options  The options
+ * @param  {Object} defaults The limits to use where the options don't have
+ *                           one
+ * @return {Object} The limits
+ * @throws {ValidationError} If any of the limits are invalid
+ */
+function readLimits(options, defaults) {
+  const rate = options.rate === undefined ? defaults.rate : options.rate;
+  if (typeof rate !== 'number' || !(rate > 0) || !isFinite(rate)) {
+    throw new errors.ValidationError('rate must be a number of requests a ' +
+      'second greater than 0.', 'invalid-rate');
+  }
+
+  // An origin with its own rate gets a burst to match, rather than the
+  // queue's
+  let burst = options.burst;
+  if (burst === undefined) {
+    burst = options.rate === undefined && defaults.burst !== undefined ?
+      defaults.burst : Math.max(1, Math.floor(rate));
+  }
+  const limits = {
+    rate: rate,
+    burst: burst,
+    concurrency: options.concurrency === undefined ?
+      defaults.concurrency : options.concurrency
+  };
+
+  ['burst', 'concurrency'].forEach(name => {
+    const value = limits[name];
+    if (typeof value !== 'number' || value < 1 ||
+        Math.floor(value) !== value) {
+      throw new errors.ValidationError(`${name} must be a whole number of ` +
+        `at least 1.`, `invalid-${name}`);
+    }
+  });
+
+  return limits;
+}
+
+module.exports = {SendQueue};
@@ -0,0 +1,263 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const url = require('url');
+const errors = require('./errors');
+const utils = require('./utils');
+
+const GCM_URL = 'https://android.googleapis.com/gcm/send';
+const TEMP_GCM_URL = 'https://gcm-http.googleapis.com/gcm';
+
+const AUTH_SCHEMES = ['none', 'vapid', 'gcm'];
+
+// The scheme, host (which may start with '*.') and port of an origin
+const ORIGIN_PATTERN = /^(https?:)\/\/((?:\*\.)?[A-Za-z0-9.-]+)(?::(\d+))?$/;
+
+// The port an origin or endpoint without one uses, so that
+// https://fcm.googleapis.com:443 is on https://fcm.googleapis.com
+const DEFAULT_PORTS = {
+  'http:': '80',
+  'https:': '443'
+};
+
+/**
+ * Finds the reason a push service gave in a JSON response body.
+ *
+ * @private
+ * @param  {Object} response The response from the push service
+ * @return {String|undefined} The reason, if there is one
+ */
+function getReason(response) {
+  try {
+    return JSON.parse(response.body).reason;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+const BUILT_IN_SERVICES = [
+  {
+    name: 'fcm',
+    origins: [
+      'https://fcm.googleapis.com',
+      'https://android.googleapis.com',
+      'https://gcm-http.googleapis.com'
+    ],
+    // Not all GCM servers support the Web Push protocol, so old GCM
+    // endpoints are sent to one that does.
+    rewriteEndpoint: endpoint => endpoint.replace(GCM_URL, TEMP_GCM_URL),
+    auth: 'gcm',
+    encoding: 'aes128gcm',
+    maxPayloadSize: 4096,
+    mapError: response => {
+      // FCM rejects a VAPID key that doesn't match the subscription with 400
+      if (response.statusCode === 400 &&
+          /UnauthorizedRegistration/.test(response.body)) {
+        return 'authentication-failed';
+      }
+      return undefined;
+    }
+  },
+  {
+    name: 'mozilla',
+    origins: ['https://*.push.services.mozilla.com'],
+    auth: 'none',
+    encoding: 'aes128gcm',
+    maxPayloadSize: 4096
+  },
+  {
+    name: 'wns',
+    origins: ['https://*.notify.windows.com'],
+    auth: 'vapid',
+    encoding: 'aes128gcm',
+    maxPayloadSize: 4096,
+    mapError: response => {
+      // WNS uses 406 when a channel has sent too many notifications
+      return response.statusCode === 406 ? 'rate-limited' : undefined;
+    }
+  },
+  {
+    name: 'apple',
+    origins: ['https://web.push.apple.com'],
+    auth: 'vapid',
+    encoding: 'aes128gcm',
+    maxPayloadSize: 4096,
+    mapError: response => {
+      const reason = getReason(response);
+      if (reason === 'BadDeviceToken' || reason === 'Unregistered') {
+        return 'expired-subscription';
+      }
+      return undefined;
+    }
+  }
+];
+
+const GENERIC_SERVICE = {
+  name: 'generic',
+  origins: [],
+  auth: 'none',
+  encoding: 'aes128gcm',
+  maxPayloadSize: utils.DEFAULT_MAX_PAYLOAD_SIZE
+};
+
+// Custom services are added to the front so they can override the built in
+// ones.
+const services = BUILT_IN_SERVICES.slice();
+
+/**
+ * Adds a push service profile, which controls how messages are sent to
+ * endpoints on the service's origins. Profiles registered later take
+ * precedence, and a profile with the same name as an existing one replaces
+ * it.
+ *
+ * @memberof web-push-encryption
+ * @param {Object}   profile         The push service profile
+ * @param {String}   profile.name    A name for the push service
+ * @param {Array<String>} profile.origins The origins of the service's
+ *                                        endpoints, such as
+ *                                        'https://push.example.com'. The
+ *                                        host may start with '*.' to match
+ *                                        any subdomain.
+ * @param {Function} [profile.rewriteEndpoint] Takes an endpoint and returns
+ *                                             the URL to send the request to
+ * @param {String}   [profile.auth] The authorization the service needs:
+ *                                  'none' (the default), 'vapid', or 'gcm'
+ *                                  for VAPID or the GCM API key
+ * @param {String}   [profile.encoding] The content encoding to use when
+ *                                      none is given. Defaults to
+ *                                      'aes128gcm'.
+ * @param {Number}   [profile.maxPayloadSize] The largest request body the
+ *                                            service accepts, in bytes.
+ *                                            Defaults to 4096.
+ * @param {Function} [profile.mapError] Takes a rejected response and returns
+ *                                      the code of the error to use, such as
+ *                                      'expired-subscription', or undefined
+ *                                      to use the default for its status
+ * @throws {ValidationError} If the profile is invalid
+ */
+function registerPushService(profile) {
+  validateProfile(profile);
+
+  const existing = services.findIndex(service => {
+    return service.name === profile.name;
+  });
+  if (existing !== -1) {
+    services.splice(existing, 1);
+  }
+
+  services.unshift(Object.assign({}, GENERIC_SERVICE, profile));
+}
+
+/**
+ * Removes a push service profile that was added with registerPushService().
+ * If it replaced a built in profile with the same name, the built in one is
+ * used again.
+ *
+ * @memberof web-push-encryption
+ * @param  {String} name The name of the profile
+ * @return {boolean} Whether there was a registered profile to remove
+ */
+function unregisterPushService(name) {
+  const existing = services.findIndex(service => service.name === name);
+  if (existing === -1 || BUILT_IN_SERVICES.indexOf(services[existing]) !== -1) {
+    return false;
+  }
+
+  services.splice(existing, 1);
+  const builtIn = BUILT_IN_SERVICES.find(service => service.name === name);
+  if (builtIn) {
+    services.push(builtIn);
+  }
+  return true;
+}
+
+/**
+ * Finds the profile of the push service an endpoint belongs to.
+ *
+ * @memberof web-push-encryption
+ * @param  {String} endpoint The subscription's endpoint
+ * @return {Object} The matching profile, or the generic RFC 8030 profile if
+ *                  no other matches
+ */
+function getPushService(endpoint) {
+  const parsed = url.parse(endpoint || '');
+  const match = services.find(service => {
+    return service.origins.some(origin => matchesOrigin(origin, parsed));
+  });
+  return match || GENERIC_SERVICE;
+}
+
+/**
+ * @private
+ * @param  {String} origin   The origin from a profile, which may have a
+ *                           wildcard
+ * @param  {Object} endpoint The parsed endpoint
+ * @return {boolean} Whether the endpoint is on the origin
+ */
+function matchesOrigin(origin, endpoint) {
+  // url.parse() doesn't understand wildcards, so the origin is split by hand
+  const parts = ORIGIN_PATTERN.exec(origin);
+  const port = parts[3] || DEFAULT_PORTS[parts[1]];
+  if (parts[1] !== endpoint.protocol || !endpoint.hostname ||
+      port !== (endpoint.port || DEFAULT_PORTS[endpoint.protocol])) {
+    return false;
+  }
+
+  const hostname = parts[2].toLowerCase();
+  if (hostname.startsWith('*.')) {
+    return endpoint.hostname.endsWith(hostname.slice(1));
+  }
+  return hostname === endpoint.hostname;
+}
+
+/**
+ * @private
+ * @param  {Object} profile The profile passed to registerPushService()
+ * @throws {ValidationError} If the profile is invalid
+ */
+function validateProfile(profile) {
+  const fail = message => {
+    throw new errors.ValidationError(message, 'invalid-push-service');
+  };
+
+  if (!profile || typeof profile.name !== 'string' || !profile.name) {
+    fail('A push service profile must have a name.');
+  }
+  if (!Array.isArray(profile.origins) || profile.origins.length === 0 ||
+      !profile.origins.every(origin => ORIGIN_PATTERN.test(origin))) {
+    fail(`The origins of the ${profile.name} push service must be an array ` +
+      `of origins like 'https://push.example.com'.`);
+  }
+  if (profile.auth !== undefined && AUTH_SCHEMES.indexOf(profile.auth) === -1) {
+    fail(`Unsupported auth '${profile.auth}' for the ${profile.name} push ` +
+      `service. Expected one of ${AUTH_SCHEMES.join(', ')}.`);
+  }
+  ['rewriteEndpoint', 'mapError'].forEach(name => {
+    if (profile[name] !== undefined && typeof profile[name] !== 'function') {
+      fail(`${name} of the ${profile.name} push service must be a function.`);
+    }
+  });
+  if (profile.maxPayloadSize !== undefined &&
+      (typeof profile.maxPayloadSize !== 'number' ||
+        profile.maxPayloadSize < 1)) {
+    fail(`maxPayloadSize of the ${profile.name} push service must be a ` +
+      `number of bytes.`);
+  }
+}
+
+module.exports = {registerPushService, unregisterPushService, getPushService};
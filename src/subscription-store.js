@@ -0,0 +1,585 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const batch = require('./batch');
+const errors = require('./errors');
+const subscriptions = require('./subscription');
+
+// How many 5xx responses in a row a subscription can get before it's removed
+const DEFAULT_MAX_FAILURES = 3;
+
+/**
+ * The interface sendToUser() and sendToTag() use to find subscriptions and
+ * remove the ones that have gone. Extend it to keep subscriptions in a
+ * database. Every method returns a promise.
+ *
+ * Each subscription is stored as a record with the <code>subscription</code>,
+ * the <code>user</code> it belongs to (or null), its <code>tags</code> and
+ * the number of <code>failures</code> in a row it has had.
+ *
+ * @memberof web-push-encryption
+ */
+class SubscriptionStore {
+  /**
+   * Stores a subscription, replacing any with the same endpoint.
+   *
+   * @param  {Object|String} subscription The subscription, which is checked
+   *                                      with parseSubscription()
+   * @param  {Object} [options] Who the subscription is for
+   * @param  {String} [options.user] The ID of the user it belongs to
+   * @param  {Array<String>} [options.tags] Tags to find it by, such as topics
+   *                                        the user has chosen
+   * @return {Promise} A promise that resolves with the stored record, or
+   *                   rejects with an InvalidSubscriptionError
+   */
+  add() {
+    return Promise.reject(notImplemented('add'));
+  }
+
+  /**
+   * @param  {String} endpoint The endpoint of the subscription to remove
+   * @return {Promise} A promise that resolves with whether there was a
+   *                   subscription to remove
+   */
+  remove() {
+    return Promise.reject(notImplemented('remove'));
+  }
+
+  /**
+   * Removes several subscriptions at once. sendToUser() and sendToTag() call
+   * this once per batch, so stores that can remove them together should
+   * override it. By default it calls remove() for each endpoint.
+   *
+   * @param  {Array<String>} endpoints The endpoints of the subscriptions to
+   *                                   remove
+   * @return {Promise} A promise that resolves with the endpoints that had a
+   *                   subscription to remove
+   */
+  removeMany(endpoints) {
+    return Promise.all(endpoints.map(endpoint => this.remove(endpoint)))
+      .then(removed => endpoints.filter((endpoint, index) => removed[index]));
+  }
+
+  /**
+   * Finds subscriptions by user or by tag.
+   *
+   * @param  {Object} [query] Which subscriptions to list. All of them are
+   *                          listed if there's no query.
+   * @param  {String} [query.user] Only list this user's subscriptions
+   * @param  {String} [query.tag] Only list subscriptions with this tag
+   * @return {Promise} A promise that resolves with an array of records
+   */
+  list() {
+    return Promise.reject(notImplemented('list'));
+  }
+
+  /**
+   * Counts a failed send to a subscription.
+   *
+   * @param  {String} endpoint The endpoint of the subscription
+   * @return {Promise} A promise that resolves with the number of failures in
+   *                   a row, or 0 if the subscription isn't stored
+   */
+  markFailed() {
+    return Promise.reject(notImplemented('markFailed'));
+  }
+
+  /**
+   * Resets a subscription's failures after a successful send.
+   *
+   * @param  {String} endpoint The endpoint of the subscription
+   * @return {Promise} A promise that resolves once the failures are reset
+   */
+  markSucceeded() {
+    return Promise.reject(notImplemented('markSucceeded'));
+  }
+
+  /**
+   * Counts the results of a batch at once. sendToUser() and sendToTag() call
+   * this once per batch, so stores that can update subscriptions together
+   * should override it. By default it calls markSucceeded() and
+   * markFailed() for each endpoint.
+   *
+   * @param  {Object} updates The endpoints to update
+   * @param  {Array<String>} [updates.succeeded] The endpoints to reset the
+   *                                             failures of
+   * @param  {Array<String>} [updates.failed] The endpoints to count a failure
+   *                                          for
+   * @return {Promise} A promise that resolves with the number of failures in
+   *                   a row of each of the failed endpoints, in the same
+   *                   order, or 0 for any that aren't stored
+   */
+  updateMany(updates) {
+    const succeeded = updates.succeeded || [];
+    const failed = updates.failed || [];
+    return Promise.all(succeeded.map(endpoint => this.markSucceeded(endpoint)))
+    .then(() => {
+      return Promise.all(failed.map(endpoint => this.markFailed(endpoint)));
+    });
+  }
+}
+
+/**
+ * A SubscriptionStore that keeps subscriptions in memory, which is useful for
+ * tests and for small servers with a single process.
+ *
+ * @memberof web-push-encryption
+ */
+class MemorySubscriptionStore extends SubscriptionStore {
+  /**
+   * Creates an empty store.
+   *
+   * @param {Object}  [options] Options for the store
+   * @param {boolean} [options.allowHttpLoopback] Accept http endpoints on
+   *                                              loopback hosts, for testing
+   *                                              with MockPushService. See
+   *                                              parseSubscription().
+   */
+  constructor(options) {
+    super();
+    this.parseOptions = {
+      allowHttpLoopback: Boolean(options && options.allowHttpLoopback)
+    };
+    this.records = new Map();
+  }
+
+  /**
+   * See SubscriptionStore.add().
+   *
+   * @param  {Object|String} subscription The subscription
+   * @param  {Object} [options] The user and tags of the subscription
+   * @return {Promise} A promise that resolves with the stored record
+   */
+  add(subscription, options) {
+    return this.update(records => {
+      const record = createRecord(subscription, options, this.parseOptions);
+      records.set(record.subscription.endpoint, record);
+      return copyRecord(record);
+    });
+  }
+
+  /**
+   * See SubscriptionStore.remove().
+   *
+   * @param  {String} endpoint The endpoint of the subscription to remove
+   * @return {Promise} A promise that resolves with whether it was removed
+   */
+  remove(endpoint) {
+    return this.update(records => records.delete(endpoint));
+  }
+
+  /**
+   * See SubscriptionStore.removeMany().
+   *
+   * @param  {Array<String>} endpoints The endpoints of the subscriptions to
+   *                                   remove
+   * @return {Promise} A promise that resolves with the endpoints that were
+   *                   removed
+   */
+  removeMany(endpoints) {
+    return this.update(records => {
+      return endpoints.filter(endpoint => records.delete(endpoint));
+    });
+  }
+
+  /**
+   * See SubscriptionStore.list().
+   *
+   * @param  {Object} [query] The user or tag to list subscriptions for
+   * @return {Promise} A promise that resolves with the records
+   */
+  list(query) {
+    query = query || {};
+    return this.read(records => {
+      const result = [];
+      records.forEach(record => {
+        const hasUser = query.user === undefined || record.user === query.user;
+        const hasTag = query.tag === undefined ||
+          record.tags.indexOf(query.tag) !== -1;
+        if (hasUser && hasTag) {
+          result.push(copyRecord(record));
+        }
+      });
+      return result;
+    });
+  }
+
+  /**
+   * See SubscriptionStore.markFailed().
+   *
+   * @param  {String} endpoint The endpoint of the subscription
+   * @return {Promise} A promise that resolves with the number of failures
+   */
+  markFailed(endpoint) {
+    return this.update(records => {
+      const record = records.get(endpoint);
+      if (!record) {
+        return 0;
+      }
+      record.failures++;
+      return record.failures;
+    });
+  }
+
+  /**
+   * See SubscriptionStore.markSucceeded().
+   *
+   * @param  {String} endpoint The endpoint of the subscription
+   * @return {Promise} A promise that resolves once the failures are reset
+   */
+  markSucceeded(endpoint) {
+    return this.update(records => {
+      const record = records.get(endpoint);
+      if (record) {
+        record.failures = 0;
+      }
+    });
+  }
+
+  /**
+   * See SubscriptionStore.updateMany().
+   *
+   * @param  {Object} updates The succeeded and failed endpoints
+   * @return {Promise} A promise that resolves with the number of failures of
+   *                   each failed endpoint
+   */
+  updateMany(updates) {
+    return this.update(records => {
+      (updates.succeeded || []).forEach(endpoint => {
+        const record = records.get(endpoint);
+        if (record) {
+          record.failures = 0;
+        }
+      });
+      return (updates.failed || []).map(endpoint => {
+        const record = records.get(endpoint);
+        if (!record) {
+          return 0;
+        }
+        record.failures++;
+        return record.failures;
+      });
+    });
+  }
+
+  /**
+   * Reads the records. Subclasses can override this to load them first.
+   *
+   * @private
+   * @param  {Function} reader Called with the map of endpoints to records
+   * @return {Promise} A promise that resolves with what the reader returns
+   */
+  read(reader) {
+    return new Promise(resolve => resolve(reader(this.records)));
+  }
+
+  /**
+   * Changes the records. Subclasses can override this to save them after.
+   *
+   * @private
+   * @param  {Function} writer Called with the map of endpoints to records
+   * @return {Promise} A promise that resolves with what the writer returns
+   */
+  update(writer) {
+    return this.read(writer);
+  }
+}
+
+/**
+ * A SubscriptionStore that saves subscriptions to a JSON file, for servers
+ * with a single process. The file is read the first time the store is used,
+ * and written after every change by writing a temporary file and renaming
+ * it, so that a crash can't leave it half written.
+ *
+ * @memberof web-push-encryption
+ */
+class JsonFileSubscriptionStore extends MemorySubscriptionStore {
+  /**
+   * @param {String} file The path of the file, which is created if it
+   *                      doesn't exist
+   * @param {Object} [options] The same options as MemorySubscriptionStore
+   * @throws {ValidationError} If the path isn't a string
+   */
+  constructor(file, options) {
+    super(options);
+    if (typeof file !== 'string' || file === '') {
+      throw new errors.ValidationError('JsonFileSubscriptionStore expects ' +
+        'the path of a file.', 'invalid-file');
+    }
+    this.file = file;
+    this.loaded = null;
+    // Changes are made one at a time so that writes can't overlap
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * @private
+   * @param  {Function} reader Called with the map of endpoints to records
+   * @return {Promise} A promise that resolves with what the reader returns
+   */
+  read(reader) {
+    return this.load().then(() => reader(this.records));
+  }
+
+  /**
+   * @private
+   * @param  {Function} writer Called with the map of endpoints to records
+   * @return {Promise} A promise that resolves with what the writer returns
+   *                   once the file has been saved
+   */
+  update(writer) {
+    const result = this.pending.then(() => this.read(writer))
+      .then(value => this.save().then(() => value));
+    // A failed change shouldn't stop the ones queued after it
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * @private
+   * @return {Promise} A promise that resolves once the file has been read
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = new Promise((resolve, reject) => {
+        fs.readFile(this.file, 'utf8', (err, contents) => {
+          if (err) {
+            return err.code === 'ENOENT' ? resolve() : reject(err);
+          }
+          try {
+            JSON.parse(contents).subscriptions.forEach(record => {
+              this.records.set(record.subscription.endpoint, record);
+            });
+          } catch (parseError) {
+            return reject(new errors.ValidationError(`${this.file} is not ` +
+              `a valid subscription store.`, 'invalid-file'));
+          }
+          resolve();
+        });
+      });
+      // Let the next call try again if the file couldn't be read
+      this.loaded.catch(() => {
+        this.loaded = null;
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * @private
+   * @return {Promise} A promise that resolves once the file has been written
+   */
+  save() {
+    const contents = JSON.stringify({
+      subscriptions: Array.from(this.records.values())
+    }, null, 2);
+    const temporaryFile = `${this.file}.${process.pid}.tmp`;
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(temporaryFile, contents, err => {
+        if (err) {
+          return reject(err);
+        }
+        fs.rename(temporaryFile, this.file, renameError => {
+          return renameError ? reject(renameError) : resolve();
+        });
+      });
+    });
+  }
+}
+
+/**
+ * Sends a message to every subscription a user has in a store. See
+ * sendToSubscriptions().
+ *
+ * @memberof web-push-encryption
+ * @param  {SubscriptionStore} store The store to find the subscriptions in
+ * @param  {String}        user    The ID of the user
+ * @param  {String|Buffer} message The message to send
+ * @param  {Object} [options] The options for sendWebPushBatch(), plus the
+ *                            one below
+ * @param  {Number} [options.maxFailures] How many 5xx responses in a row a
+ *                                        subscription can get before it's
+ *                                        removed. Defaults to 3.
+ * @return {Promise} A promise that resolves with the report from
+ *                   sendWebPushBatch() and the <code>removed</code>
+ *                   endpoints
+ */
+function sendToUser(store, user, message, options) {
+  return sendToSubscriptions(store, {user: user}, message, options);
+}
+
+/**
+ * Sends a message to every subscription with a tag in a store. See
+ * sendToUser().
+ *
+ * @memberof web-push-encryption
+ * @param  {SubscriptionStore} store The store to find the subscriptions in
+ * @param  {String}        tag     The tag
+ * @param  {String|Buffer} message The message to send
+ * @param  {Object} [options] The options for sendToUser()
+ * @return {Promise} A promise that resolves with the report from
+ *                   sendWebPushBatch() and the <code>removed</code>
+ *                   endpoints
+ */
+function sendToTag(store, tag, message, options) {
+  return sendToSubscriptions(store, {tag: tag}, message, options);
+}
+
+/**
+ * Sends a message to the subscriptions in a store that match a query, then
+ * removes the ones the push service says have gone (404 or 410) and the ones
+ * that have had too many 5xx responses in a row.
+ *
+ * @private
+ * @param  {SubscriptionStore} store The store
+ * @param  {Object}        query   The query for store.list()
+ * @param  {String|Buffer} message The message to send
+ * @param  {Object}        [options] The options for sendToUser()
+ * @return {Promise} A promise that resolves with the report
+ */
+function sendToSubscriptions(store, query, message, options) {
+  options = options || {};
+  const maxFailures = options.maxFailures === undefined ?
+    DEFAULT_MAX_FAILURES : options.maxFailures;
+
+  return new Promise(resolve => {
+    if (!store || typeof store.list !== 'function') {
+      throw new errors.ValidationError('Expected a SubscriptionStore.',
+        'invalid-store');
+    }
+    if (typeof maxFailures !== 'number' || maxFailures < 1 ||
+        Math.floor(maxFailures) !== maxFailures) {
+      throw new errors.ValidationError('maxFailures must be a whole number ' +
+        'of at least 1.', 'invalid-max-failures');
+    }
+    resolve(store.list(query));
+  })
+  .then(records => {
+    return batch.sendWebPushBatch(message,
+      records.map(record => record.subscription), options)
+    .then(report => updateStore(store, records, report, maxFailures));
+  });
+}
+
+/**
+ * Updates the store with the results of a batch.
+ *
+ * @private
+ * @param  {SubscriptionStore} store The store
+ * @param  {Array<Object>} records   The records the batch was sent to
+ * @param  {Object}        report    The report from sendWebPushBatch()
+ * @param  {Number}        maxFailures How many 5xx responses in a row a
+ *                                     subscription can get
+ * @return {Promise} A promise that resolves with the report and the endpoints
+ *                   that were removed
+ */
+function updateStore(store, records, report, maxFailures) {
+  const succeeded = [];
+  const failed = [];
+  const gone = [];
+  report.results.forEach((result, index) => {
+    const endpoint = result.subscription.endpoint;
+    if (result.status === 'succeeded') {
+      // Only write to the store if there are failures to forget
+      if (records[index].failures > 0) {
+        succeeded.push(endpoint);
+      }
+    } else if (result.status === 'gone') {
+      gone.push(endpoint);
+    } else if (result.error instanceof errors.PushServiceError) {
+      failed.push(endpoint);
+    }
+  });
+
+  // The store is updated for the whole batch at once, rather than once per
+  // result, since a JsonFileSubscriptionStore rewrites its file each time
+  const updated = succeeded.length === 0 && failed.length === 0 ?
+    Promise.resolve([]) : store.updateMany({succeeded, failed});
+
+  return updated.then(failures => {
+    const toRemove = gone.concat(failed.filter((endpoint, index) => {
+      return failures[index] >= maxFailures;
+    }));
+    return toRemove.length === 0 ? [] : store.removeMany(toRemove);
+  })
+  .then(removed => {
+    report.removed = removed;
+    return report;
+  });
+}
+
+/**
+ * @private
+ * @param  {Object|String} subscription The subscription
+ * @param  {Object} [options] The user and tags of the subscription
+ * @param  {Object} parseOptions The options for parseSubscription()
+ * @return {Object} The record to store
+ * @throws {ValidationError} If the subscription, user or tags are invalid
+ */
+function createRecord(subscription, options, parseOptions) {
+  options = options || {};
+  const user = options.user === undefined ? null : options.user;
+  const tags = options.tags === undefined ? [] : options.tags;
+
+  if (user !== null && typeof user !== 'string') {
+    throw new errors.ValidationError('The user must be a string.',
+      'invalid-user');
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw new errors.ValidationError('The tags must be an array of strings.',
+      'invalid-tags');
+  }
+
+  return {
+    subscription: subscriptions.parseSubscription(subscription, parseOptions),
+    user: user,
+    tags: tags.slice(),
+    failures: 0
+  };
+}
+
+/**
+ * Copies a record, so that changes to the copy don't change the store.
+ *
+ * @private
+ * @param  {Object} record The record
+ * @return {Object} The copy
+ */
+function copyRecord(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * @private
+ * @param  {String} method The name of the method
+ * @return {WebPushError} The error for a method a store doesn't implement
+ */
+function notImplemented(method) {
+  return new errors.WebPushError(`This SubscriptionStore doesn't implement ` +
+    `${method}().`, 'not-implemented');
+}
+
+module.exports = {
+  SubscriptionStore,
+  MemorySubscriptionStore,
+  JsonFileSubscriptionStore,
+  sendToUser,
+  sendToTag
+};
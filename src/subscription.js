@@ -0,0 +1,253 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const url = require('url');
+const errors = require('./errors');
+const utils = require('./utils');
+
+// URL safe base64, optionally with padding. Standard base64 ('+' and '/') is
+// rejected because browsers never produce it for subscription keys.
+const URL_SAFE_BASE64 = /^[A-Za-z0-9_-]*={0,2}$/;
+
+// The hosts an endpoint may use plain http on with allowHttpLoopback
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * Parses and checks a subscription, so that problems can be caught when the
+ * browser subscribes rather than when a message is sent.
+ *
+ * The endpoint must be an https URL, p256dh must be an uncompressed point on
+ * the P-256 curve and auth must be 16 bytes, both encoded with URL safe
+ * base64.
+ *
+ * @memberof web-push-encryption
+ * @param  {Object|String} subscription A
+ * [PushSubscription]{@link https://developer.mozilla.org/en-US/docs/Web/API/PushSubscription}
+ * as an object or the result of <code>JSON.stringify(subscription)</code>
+ * @param  {Object} [options] How to check it
+ * @param  {boolean} [options.allowHttpLoopback] Also accept http endpoints on
+ *                                               127.0.0.1, localhost or ::1,
+ *                                               such as the ones from
+ *                                               MockPushService. Only for
+ *                                               testing.
+ * @return {Object} The endpoint, the expirationTime (null if there isn't
+ *                  one) and the p256dh and auth keys, re-encoded as URL safe
+ *                  base64 without padding
+ * @throws {InvalidSubscriptionError} For the first problem found, with the
+ *                                    name of the field in
+ *                                    <code>field</code>
+ */
+function parseSubscription(subscription, options) {
+  const result = checkSubscription(subscription, options);
+  if (result.errors.length > 0) {
+    throw result.errors[0];
+  }
+  return result.subscription;
+}
+
+/**
+ * Checks a subscription without throwing. See parseSubscription().
+ *
+ * @memberof web-push-encryption
+ * @param  {Object|String} subscription The subscription to check
+ * @param  {Object} [options] The same options as parseSubscription()
+ * @return {Array<InvalidSubscriptionError>} An error for each invalid field,
+ *                                           which is empty if the
+ *                                           subscription is valid
+ */
+function validateSubscription(subscription, options) {
+  return checkSubscription(subscription, options).errors;
+}
+
+/**
+ * Reads each field of a subscription, collecting the problems.
+ *
+ * @private
+ * @param  {Object|String} input   The subscription to check
+ * @param  {Object}        [options] The options passed to
+ *                                   parseSubscription()
+ * @return {Object} The normalized subscription and the errors
+ */
+function checkSubscription(input, options) {
+  options = options || {};
+  let subscription = input;
+  if (typeof input === 'string') {
+    try {
+      subscription = JSON.parse(input);
+    } catch (err) {
+      return {errors: [new errors.InvalidSubscriptionError('The subscription ' +
+        'is not valid JSON.', 'invalid-subscription', '')]};
+    }
+  }
+
+  if (!subscription || typeof subscription !== 'object' ||
+      Array.isArray(subscription)) {
+    return {errors: [new errors.InvalidSubscriptionError('The subscription ' +
+      'must be an object or a JSON string.', 'invalid-subscription', '')]};
+  }
+
+  const normalized = {};
+  const problems = [];
+  const read = (reader, value) => {
+    try {
+      return reader(value);
+    } catch (err) {
+      if (!(err instanceof errors.InvalidSubscriptionError)) {
+        throw err;
+      }
+      problems.push(err);
+    }
+  };
+
+  normalized.endpoint = read(endpoint => {
+    return readEndpoint(endpoint, options.allowHttpLoopback);
+  }, subscription.endpoint);
+  normalized.expirationTime = read(readExpirationTime,
+    subscription.expirationTime);
+
+  const keys = subscription.keys;
+  if (keys && typeof keys === 'object') {
+    normalized.keys = {
+      p256dh: read(readPublicKey, keys.p256dh),
+      auth: read(readAuthSecret, keys.auth)
+    };
+  } else {
+    problems.push(new errors.InvalidSubscriptionError('The subscription has ' +
+      'no keys.', 'missing-keys', 'keys'));
+  }
+
+  return {subscription: normalized, errors: problems};
+}
+
+/**
+ * @private
+ * @param  {*} endpoint The endpoint from the subscription
+ * @param  {boolean} allowHttpLoopback Whether to accept http on loopback
+ *                                     hosts
+ * @return {String} The endpoint
+ * @throws {InvalidSubscriptionError} If it isn't an https URL
+ */
+function readEndpoint(endpoint, allowHttpLoopback) {
+  if (endpoint === undefined || endpoint === null || endpoint === '') {
+    throw new errors.InvalidSubscriptionError('The subscription has no ' +
+      'endpoint.', 'missing-endpoint', 'endpoint');
+  }
+
+  const parsed = typeof endpoint === 'string' ? url.parse(endpoint) : {};
+  const isLoopbackHttp = allowHttpLoopback && parsed.protocol === 'http:' &&
+    LOOPBACK_HOSTS.indexOf(parsed.hostname) !== -1;
+  if ((parsed.protocol !== 'https:' && !isLoopbackHttp) || !parsed.hostname) {
+    throw new errors.InvalidSubscriptionError('The subscription\'s endpoint ' +
+      'must be an https URL.', 'invalid-endpoint', 'endpoint');
+  }
+  return endpoint;
+}
+
+/**
+ * @private
+ * @param  {*} expirationTime The expirationTime from the subscription
+ * @return {number|null} When the subscription expires, in milliseconds since
+ *                       the epoch, or null if it doesn't
+ * @throws {InvalidSubscriptionError} If it isn't a time
+ */
+function readExpirationTime(expirationTime) {
+  if (expirationTime === undefined || expirationTime === null) {
+    return null;
+  }
+
+  if (typeof expirationTime !== 'number' || !isFinite(expirationTime) ||
+      expirationTime < 0) {
+    throw new errors.InvalidSubscriptionError('The subscription\'s ' +
+      'expirationTime must be null or a number of milliseconds since the ' +
+      'epoch.', 'invalid-expiration-time', 'expirationTime');
+  }
+  return expirationTime;
+}
+
+/**
+ * @private
+ * @param  {*} p256dh The p256dh key from the subscription
+ * @return {String} The key as URL safe base64
+ * @throws {InvalidSubscriptionError} If it isn't a P-256 public key
+ */
+function readPublicKey(p256dh) {
+  const key = decodeKey(p256dh, 'p256dh', 'invalid-p256dh');
+  const message = 'The subscription\'s p256dh key must be an uncompressed ' +
+    'P-256 public key.';
+  if (key.length !== 65 || key[0] !== 0x04) {
+    throw new errors.InvalidSubscriptionError(message, 'invalid-p256dh',
+      'keys.p256dh');
+  }
+
+  // The easiest way to check the point is on the curve is to use it
+  try {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    ecdh.computeSecret(key);
+  } catch (err) {
+    throw new errors.InvalidSubscriptionError(message, 'invalid-p256dh',
+      'keys.p256dh');
+  }
+  return utils.ub64(key);
+}
+
+/**
+ * @private
+ * @param  {*} auth The auth secret from the subscription
+ * @return {String} The secret as URL safe base64
+ * @throws {InvalidSubscriptionError} If it isn't 16 bytes
+ */
+function readAuthSecret(auth) {
+  const secret = decodeKey(auth, 'auth', 'invalid-auth-secret');
+  if (secret.length !== 16) {
+    throw new errors.InvalidSubscriptionError('The subscription\'s auth ' +
+      'secret must be 16 bytes.', 'invalid-auth-secret', 'keys.auth');
+  }
+  return utils.ub64(secret);
+}
+
+/**
+ * Strictly decodes URL safe base64. Buffer ignores characters it doesn't
+ * understand, so we check them first.
+ *
+ * @private
+ * @param  {*} value  The encoded key
+ * @param  {String} name The name of the key, for the error message
+ * @param  {String} code The error code to use if it's invalid
+ * @return {Buffer} The decoded key
+ * @throws {InvalidSubscriptionError} If it isn't URL safe base64
+ */
+function decodeKey(value, name, code) {
+  const field = `keys.${name}`;
+  if (value === undefined || value === null || value === '') {
+    throw new errors.InvalidSubscriptionError(`The subscription has no ` +
+      `${name} key.`, 'missing-keys', field);
+  }
+
+  const unpadded = typeof value === 'string' ? value.replace(/\=+$/, '') : '';
+  const isPadded = unpadded.length !== value.length;
+  if (typeof value !== 'string' || !URL_SAFE_BASE64.test(value) ||
+      unpadded.length % 4 === 1 || (isPadded && value.length % 4 !== 0)) {
+    throw new errors.InvalidSubscriptionError(`The subscription's ${name} ` +
+      `key must be URL safe base64.`, code, field);
+  }
+  return new Buffer(value, 'base64');
+}
+
+module.exports = {parseSubscription, validateSubscription};
@@ -0,0 +1,29 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const mock = require('./mock-push-service');
+
+/**
+ * Helpers for testing code that sends push messages. They're kept out of the
+ * main entry point so that production code doesn't load them; require
+ * <code>web-push-encryption/testing</code> to use them.
+ * @namespace web-push-encryption/testing
+ */
+module.exports = {
+  MockPushService: mock.MockPushService
+};
@@ -0,0 +1,282 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const url = require('url');
+
+// The agents that tunnel through a proxy for each agent passed with one, so
+// that their connections can be reused
+const tunnelAgents = new WeakMap();
+
+/**
+ * The default transport, which sends a request built by
+ * generateRequestDetails() using Node's https module.
+ *
+ * A transport is any function that takes the same arguments and returns a
+ * promise for the same kind of response, so you can pass your own to
+ * sendWebPush() to use a different HTTP library.
+ *
+ * @memberof web-push-encryption
+ * @param  {Object} details The method, endpoint, headers and body to send
+ * @param  {Object} [options] Options for this request
+ * @param  {number} [options.timeout] How long to wait for the response, in
+ *                                    milliseconds
+ * @param  {String} [options.proxy] The URL of an HTTP proxy to tunnel the
+ *                                  request through
+ * @param  {http.Agent} [options.agent] The agent to use for the request, for
+ *                                      example one with keepAlive enabled to
+ *                                      reuse connections. With a proxy, its
+ *                                      options, such as keepAlive and ca,
+ *                                      are used for the tunnels.
+ * @param  {String|Buffer|Array} [options.ca] Certificate authorities to
+ *                                            trust instead of the defaults,
+ *                                            for push services or proxies
+ *                                            that use a private CA
+ * @return {Promise} A promise that resolves with the statusCode,
+ *                   statusMessage, headers and body of the response
+ */
+function httpsTransport(details, options) {
+  options = options || {};
+
+  const endpoint = url.parse(details.endpoint);
+  const isHttps = endpoint.protocol === 'https:';
+  const headers = Object.assign({}, details.headers);
+  if (details.body) {
+    headers['Content-Length'] = details.body.length;
+  }
+
+  const requestOptions = {
+    method: details.method,
+    protocol: endpoint.protocol,
+    hostname: endpoint.hostname,
+    port: endpoint.port || (isHttps ? 443 : 80),
+    path: endpoint.path,
+    headers: headers,
+    agent: options.agent
+  };
+  if (options.ca) {
+    requestOptions.ca = options.ca;
+  }
+  if (options.proxy && options.agent) {
+    requestOptions.agent = getTunnelAgent(options.agent, options.proxy,
+      isHttps);
+  }
+
+  return new Promise(function(resolve, reject) {
+    let settled = false;
+    let timer;
+    let req;
+    let tunnel;
+
+    const fail = error => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (req) {
+        req.abort();
+      }
+      if (tunnel) {
+        tunnel.abort();
+      }
+      reject(error);
+    };
+
+    if (options.timeout) {
+      timer = setTimeout(() => {
+        const error = new Error(`The request timed out after ` +
+          `${options.timeout}ms.`);
+        error.code = 'ETIMEDOUT';
+        fail(error);
+      }, options.timeout);
+    }
+
+    const send = socket => {
+      if (settled) {
+        // The request timed out while the tunnel was being opened, and must
+        // not be sent now, as the caller may already be retrying it.
+        if (socket) {
+          socket.destroy();
+        }
+        return;
+      }
+
+      if (socket) {
+        // We already have a connection through the proxy, so use it rather
+        // than letting an agent open a new one.
+        requestOptions.agent = false;
+        requestOptions.createConnection = () => socket;
+      }
+
+      req = (isHttps ? https : http).request(requestOptions, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('error', fail);
+        response.on('end', () => {
+          settled = true;
+          clearTimeout(timer);
+          if (socket) {
+            // The tunnel was only opened for this request
+            socket.destroy();
+          }
+          resolve({
+            statusCode: response.statusCode,
+            statusMessage: response.statusMessage,
+            headers: response.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          });
+        });
+      });
+      req.on('error', fail);
+      req.end(details.body);
+    };
+
+    if (options.proxy && !options.agent) {
+      tunnel = connectThroughProxy(options.proxy, {
+        hostname: endpoint.hostname,
+        port: requestOptions.port
+      }, isHttps, {ca: options.ca});
+      tunnel.connected.then(send, fail);
+    } else {
+      send();
+    }
+  });
+}
+
+/**
+ * Finds or creates the agent that tunnels requests through a proxy with the
+ * options of the given agent.
+ *
+ * @private
+ * @param  {http.Agent} agent   The agent passed to httpsTransport()
+ * @param  {String}     proxy   The URL of the proxy
+ * @param  {boolean}    isHttps Whether the endpoint uses https
+ * @return {http.Agent} The agent to send the request with
+ */
+function getTunnelAgent(agent, proxy, isHttps) {
+  let agents = tunnelAgents.get(agent);
+  if (!agents) {
+    agents = new Map();
+    tunnelAgents.set(agent, agents);
+  }
+
+  const key = `${isHttps ? 'https' : 'http'} ${proxy}`;
+  let tunnelAgent = agents.get(key);
+  if (!tunnelAgent) {
+    const agentOptions = agent.options || {};
+    tunnelAgent = new (isHttps ? https : http).Agent(agentOptions);
+    tunnelAgent.createConnection = (connectOptions, callback) => {
+      // https.Agent passes its own TLS options, such as ca, along with the
+      // host and port
+      connectThroughProxy(proxy, {
+        hostname: connectOptions.host,
+        port: connectOptions.port
+      }, isHttps, connectOptions).connected
+        .then(socket => callback(null, socket), callback);
+    };
+    agents.set(key, tunnelAgent);
+  }
+  return tunnelAgent;
+}
+
+/**
+ * Opens a tunnel to the endpoint's host through an HTTP proxy with CONNECT.
+ *
+ * @private
+ * @param  {String} proxy      The URL of the proxy
+ * @param  {Object} target     The hostname and port to connect to
+ * @param  {boolean} isHttps   Whether to start TLS over the tunnel
+ * @param  {Object} tlsOptions Options for TLS, such as ca, which are also
+ *                             used for an https proxy
+ * @return {Object} The promise of the connected socket in
+ *                  <code>connected</code>, and an <code>abort()</code>
+ *                  function that gives up on the tunnel
+ */
+function connectThroughProxy(proxy, target, isHttps, tlsOptions) {
+  const proxyURL = url.parse(proxy);
+  const hostAndPort = `${target.hostname}:${target.port}`;
+  const headers = {Host: hostAndPort};
+  if (proxyURL.auth) {
+    headers['Proxy-Authorization'] =
+      `Basic ${new Buffer(proxyURL.auth).toString('base64')}`;
+  }
+
+  const isHttpsProxy = proxyURL.protocol === 'https:';
+  const req = (isHttpsProxy ? https : http).request({
+    method: 'CONNECT',
+    hostname: proxyURL.hostname,
+    port: proxyURL.port || (isHttpsProxy ? 443 : 80),
+    path: hostAndPort,
+    headers: headers,
+    ca: tlsOptions.ca,
+    agent: false
+  });
+
+  let aborted = false;
+  let tunnelSocket = null;
+  const connected = new Promise(function(resolve, reject) {
+    req.on('connect', (response, socket) => {
+      tunnelSocket = socket;
+      if (aborted) {
+        socket.destroy();
+        return;
+      }
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        reject(new Error(`The proxy refused to connect to ${hostAndPort} ` +
+          `(${response.statusCode}).`));
+        return;
+      }
+
+      if (!isHttps) {
+        resolve(socket);
+        return;
+      }
+
+      const secureSocket = tls.connect(Object.assign({}, tlsOptions, {
+        socket: socket,
+        servername: target.hostname
+      }));
+      tunnelSocket = secureSocket;
+      secureSocket.on('secureConnect', () => resolve(secureSocket));
+      secureSocket.on('error', reject);
+    });
+    req.on('error', err => {
+      if (!aborted) {
+        reject(err);
+      }
+    });
+    req.end();
+  });
+
+  return {
+    connected: connected,
+    abort: () => {
+      aborted = true;
+      req.abort();
+      if (tunnelSocket) {
+        tunnelSocket.destroy();
+      }
+    }
+  };
+}
+
+module.exports = {httpsTransport};
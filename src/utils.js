@@ -0,0 +1,118 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const url = require('url');
+
+// RFC 8030 requires push services to accept bodies of at least 4096 bytes
+const DEFAULT_MAX_PAYLOAD_SIZE = 4096;
+
+// The values of the Urgency header, from section 5.3 of RFC 8030
+const URGENCIES = ['very-low', 'low', 'normal', 'high'];
+
+// A Topic header is up to 32 characters from the URL safe base64 alphabet
+const TOPIC_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * URL safe Base64 encoder
+ *
+ * @private
+ * @param  {Buffer} buffer The data to encode
+ * @return {String} URL safe base 64 encoded string
+ */
+function ub64(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/\=/g, '');
+}
+
+/**
+ * Reads a Retry-After header, which may be a number of seconds or an HTTP
+ * date. See section 7.1.3 of {@link https://tools.ietf.org/html/rfc7231}
+ *
+ * @private
+ * @param  {String} value The header value
+ * @param  {number} [now] The current time in milliseconds
+ * @return {number|undefined} The number of seconds to wait, or undefined if
+ *                            the header is missing or invalid
+ */
+function parseRetryAfter(value, now) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10);
+  }
+
+  const date = Date.parse(value);
+  if (isNaN(date)) {
+    return undefined;
+  }
+
+  return Math.max(0, Math.ceil((date - (now || Date.now())) / 1000));
+}
+
+/**
+ * Turns the Uint8Arrays that Buffers become when they're posted to or from a
+ * worker thread back into Buffers, including inside objects and arrays.
+ *
+ * @private
+ * @param  {*} value The value that was posted
+ * @return {*} The value with Buffers restored
+ */
+function restoreBuffers(value) {
+  if (value instanceof Buffer) {
+    return value;
+  }
+  if (value instanceof Uint8Array) {
+    return new Buffer(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (Array.isArray(value)) {
+    return value.map(restoreBuffers);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = restoreBuffers(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Finds which push service an endpoint belongs to.
+ *
+ * @private
+ * @param  {String} endpoint An endpoint
+ * @return {String} The scheme, host and port of the endpoint
+ */
+function getOrigin(endpoint) {
+  const parsed = url.parse(endpoint);
+  return `${parsed.protocol}//${parsed.host}`;
+}
+
+module.exports = {
+  DEFAULT_MAX_PAYLOAD_SIZE,
+  URGENCIES,
+  TOPIC_PATTERN,
+  ub64,
+  parseRetryAfter,
+  restoreBuffers,
+  getOrigin
+};
@@ -0,0 +1,185 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const expect = require('chai').expect;
+
+const KEYS = {
+  auth: '8eDyX_uCN0XRhSbY5hs7Hg==',
+  p256dh: 'BCIWgsnyXDv1VkhqL2P7YRBvdeuDnlwAPT2guNhdIoW3IP7GmHh1SMKPLxRf7x8vJy6ZFK3ol2ohgn_-0yP7QQA='
+};
+
+const subscriptionFor = endpoint => ({endpoint: endpoint, keys: KEYS});
+
+// A transport that responds with the status code given in each endpoint's
+// path after a short delay, and records how many requests were in flight.
+const createTransport = () => {
+  const transport = details => {
+    transport.requests.push(details);
+    const origin = details.endpoint.split('/').slice(0, 3).join('/');
+    transport.active[origin] = (transport.active[origin] || 0) + 1;
+    transport.total++;
+    transport.maxTotal = Math.max(transport.maxTotal, transport.total);
+    transport.maxPerOrigin = Math.max(transport.maxPerOrigin,
+      transport.active[origin]);
+
+    return new Promise(resolve => setTimeout(resolve, 5))
+    .then(() => {
+      transport.active[origin]--;
+      transport.total--;
+      const status = details.endpoint.split('/').pop();
+      if (status === 'network-error') {
+        const error = new Error('socket hang up');
+        error.code = 'ECONNRESET';
+        return Promise.reject(error);
+      }
+      return {statusCode: parseInt(status, 10), headers: {}};
+    });
+  };
+  transport.requests = [];
+  transport.active = {};
+  transport.total = 0;
+  transport.maxTotal = 0;
+  transport.maxPerOrigin = 0;
+  return transport;
+};
+
+describe('Test sendWebPushBatch()', function() {
+  it('should report the result for each subscription in order', function() {
+    const library = require('../src/index.js');
+    const transport = createTransport();
+    const subscriptions = [
+      subscriptionFor('https://a.example.com/push/201'),
+      subscriptionFor('https://a.example.com/push/410'),
+      subscriptionFor('https://b.example.com/push/400'),
+      subscriptionFor('https://b.example.com/push/network-error'),
+      {keys: KEYS},
+      subscriptionFor('https://b.example.com/push/404')
+    ];
+
+    return library.sendWebPushBatch('Hello, World!', subscriptions, {
+      transport: transport
+    })
+    .then(report => {
+      report.succeeded.should.equal(1);
+      report.gone.should.equal(2);
+      report.failed.should.equal(3);
+
+      report.results.map(result => result.status).should.deep.equal([
+        'succeeded', 'gone', 'failed', 'failed', 'failed', 'gone'
+      ]);
+      report.results.forEach((result, i) => {
+        result.subscription.should.equal(subscriptions[i]);
+      });
+
+      report.results[0].response.statusCode.should.equal(201);
+      expect(report.results[0].error).to.equal(undefined);
+      report.results[1].error.should.be.an.instanceof(
+        library.SubscriptionGoneError);
+      report.results[1].reason.should.equal('expired-subscription');
+      report.results[2].reason.should.equal('invalid-request');
+      report.results[3].reason.should.equal('ECONNRESET');
+      report.results[4].error.should.be.an.instanceof(library.ValidationError);
+      report.results[4].reason.should.equal('missing-endpoint');
+    });
+  });
+
+  it('should encrypt the message separately for each subscription', function() {
+    const library = require('../src/index.js');
+    const transport = createTransport();
+    const subscriptions = [
+      subscriptionFor('https://a.example.com/push/201'),
+      subscriptionFor('https://a.example.com/push/201')
+    ];
+
+    return library.sendWebPushBatch('Hello, World!', subscriptions, {
+      transport: transport
+    })
+    .then(() => {
+      transport.requests.should.have.length(2);
+      transport.requests[0].body.equals(transport.requests[1].body)
+        .should.equal(false);
+    });
+  });
+
+  it('should limit how many requests are in flight', function() {
+    const library = require('../src/index.js');
+    const transport = createTransport();
+    const subscriptions = [];
+    for (let i = 0; i < 12; i++) {
+      subscriptions.push(subscriptionFor(`https://${i}.example.com/push/201`));
+    }
+
+    return library.sendWebPushBatch(null, subscriptions, {
+      transport: transport,
+      concurrency: 3
+    })
+    .then(report => {
+      report.succeeded.should.equal(12);
+      transport.maxTotal.should.equal(3);
+    });
+  });
+
+  it('should limit how many requests go to each push service', function() {
+    const library = require('../src/index.js');
+    const transport = createTransport();
+    const subscriptions = [];
+    for (let i = 0; i < 6; i++) {
+      subscriptions.push(subscriptionFor(`https://a.example.com/${i}/201`));
+    }
+    subscriptions.push(subscriptionFor('https://b.example.com/push/201'));
+
+    return library.sendWebPushBatch(null, subscriptions, {
+      transport: transport,
+      concurrency: 4,
+      concurrencyPerOrigin: 2
+    })
+    .then(report => {
+      report.succeeded.should.equal(7);
+      transport.maxPerOrigin.should.equal(2);
+      // b.example.com shouldn't have to wait behind a.example.com's queue
+      transport.requests.map(details => details.endpoint)
+        .indexOf('https://b.example.com/push/201').should.equal(2);
+    });
+  });
+
+  it('should resolve straight away for no subscriptions', function() {
+    const library = require('../src/index.js');
+    return library.sendWebPushBatch('Hello, World!', [])
+    .then(report => {
+      report.should.deep.equal({
+        results: [],
+        succeeded: 0,
+        gone: 0,
+        failed: 0
+      });
+    });
+  });
+
+  it('should throw for invalid arguments', function() {
+    const library = require('../src/index.js');
+    expect(() => library.sendWebPushBatch('Hello, World!', {}))
+      .to.throw('sendWebPushBatch() expects an array of subscriptions.');
+    expect(() => library.sendWebPushBatch('Hello, World!', [], {
+      concurrency: 0
+    })).to.throw('concurrency must be a whole number of at least 1.');
+    expect(() => library.sendWebPushBatch('Hello, World!', [], {
+      concurrencyPerOrigin: 1.5
+    })).to.throw('concurrencyPerOrigin must be a whole number of at least 1.');
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+const ub64 = buffer => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=/g, '');
+
+// A subscription that we have the private key for, so that its messages can
+// be decrypted.
+const createSubscription = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+  return {
+    privateKey: ub64(ecdh.getPrivateKey()),
+    subscription: {
+      endpoint: 'https://push.example.com/abc',
+      keys: {
+        p256dh: ub64(ecdh.getPublicKey()),
+        auth: ub64(authSecret)
+      }
+    }
+  };
+};
+
+// Runs the command line tool with the given arguments and stdin, and resolves
+// with the exit code and everything written to stdout and stderr.
+const runCLI = (args, input, transport) => {
+  const cli = require('../src/cli.js');
+  const output = {stdout: '', stderr: ''};
+  const writer = name => new stream.Writable({
+    write: (chunk, encoding, callback) => {
+      output[name] += chunk.toString();
+      callback();
+    }
+  });
+
+  const stdin = new stream.PassThrough();
+  stdin.end(input || '');
+
+  return cli.run(args, {
+    stdin: stdin,
+    stdout: writer('stdout'),
+    stderr: writer('stderr'),
+    transport: transport
+  })
+  .then(exitCode => {
+    output.exitCode = exitCode;
+    return output;
+  });
+};
+
+const respondWith = response => () => Promise.resolve(response);
+
+describe('Test the command line tool', function() {
+  it('should print its usage', function() {
+    return Promise.all([
+      runCLI(['--help']),
+      runCLI([]),
+      runCLI(['unknown']),
+      runCLI(['encrypt', '--private-key', 'abc']),
+      runCLI(['send', 'extra']),
+      runCLI(['send', '--ttl'])
+    ])
+    .then(results => {
+      results.map(result => result.exitCode).should.deep.equal([0, 2, 2, 2, 2, 2]);
+      results[0].stdout.should.contain('Usage: web-push-encryption <command>');
+      results[1].stderr.should.contain('No command given.');
+      results[2].stderr.should.contain('Unknown command \'unknown\'.');
+      results[3].stderr.should.contain('encrypt doesn\'t accept --private-key.');
+      results[4].stderr.should.contain('Unexpected argument \'extra\'.');
+      results[5].stderr.should.contain('--ttl needs a value.');
+    });
+  });
+
+  it('should generate VAPID keys', function() {
+    const library = require('../src/index.js');
+    return Promise.all([
+      runCLI(['generate-vapid-keys', '--json']),
+      runCLI(['generate-vapid-keys', '--format=pem']),
+      runCLI(['generate-vapid-keys'])
+    ])
+    .then(results => {
+      library.validateVAPIDKeys(JSON.parse(results[0].stdout));
+      library.importVAPIDKeys(results[1].stdout, 'pem');
+      results[2].stdout.should.match(/^Public Key:\n[\w-]{87}\n\nPrivate Key:\n[\w-]{43}\n$/);
+    });
+  });
+
+  it('should validate a subscription from stdin', function() {
+    const valid = createSubscription().subscription;
+    const invalid = {
+      endpoint: 'http://push.example.com/abc',
+      keys: {p256dh: valid.keys.p256dh, auth: 'short'}
+    };
+
+    return Promise.all([
+      runCLI(['validate-subscription', '--json'], JSON.stringify(valid)),
+      runCLI(['validate-subscription', '--json'], JSON.stringify(invalid)),
+      runCLI(['validate-subscription'], JSON.stringify(invalid))
+    ])
+    .then(results => {
+      results[0].exitCode.should.equal(0);
+      JSON.parse(results[0].stdout).valid.should.equal(true);
+
+      results[1].exitCode.should.equal(3);
+      const report = JSON.parse(results[1].stdout);
+      report.valid.should.equal(false);
+      report.errors.map(err => err.field).should.deep.equal(['endpoint', 'keys.auth']);
+
+      results[2].exitCode.should.equal(3);
+      results[2].stdout.should.contain('keys.auth: ');
+    });
+  });
+
+  it('should encrypt a message that decrypt can read', function() {
+    const target = createSubscription();
+    const file = path.join(os.tmpdir(), `subscription-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(target.subscription));
+
+    return runCLI(['encrypt', '--subscription', file, '--payload',
+      'Hello, World!', '--ttl', '60', '--json'])
+    .then(result => {
+      fs.unlinkSync(file);
+      result.exitCode.should.equal(0);
+      const request = JSON.parse(result.stdout);
+      request.endpoint.should.equal(target.subscription.endpoint);
+      request.headers.TTL.should.equal('60');
+      request.headers['Content-Encoding'].should.equal('aes128gcm');
+
+      return runCLI(['decrypt', '--private-key', target.privateKey,
+        '--auth-secret', target.subscription.keys.auth], request.body);
+    })
+    .then(result => {
+      result.exitCode.should.equal(0);
+      result.stdout.should.equal('Hello, World!\n');
+    });
+  });
+
+  it('should decrypt aesgcm messages with the salt and dh', function() {
+    const target = createSubscription();
+    return runCLI(['encrypt', '--payload', 'Hello, World!', '--encoding',
+      'aesgcm', '--json'], JSON.stringify(target.subscription))
+    .then(result => {
+      const request = JSON.parse(result.stdout);
+      return runCLI(['decrypt', '--json', '--encoding', 'aesgcm',
+        '--private-key', target.privateKey,
+        '--auth-secret', target.subscription.keys.auth,
+        '--salt', request.headers.Encryption.replace('salt=', ''),
+        '--dh', request.headers['Crypto-Key'].replace('dh=', ''),
+        '--body', request.body]);
+    })
+    .then(result => {
+      JSON.parse(result.stdout).payload.should.equal('Hello, World!');
+    });
+  });
+
+  it('should fail to decrypt with the wrong keys', function() {
+    const target = createSubscription();
+    return runCLI(['encrypt', '--payload', 'Hello, World!', '--json'],
+      JSON.stringify(target.subscription))
+    .then(result => {
+      return runCLI(['decrypt', '--json', '--private-key', target.privateKey,
+        '--auth-secret', ub64(crypto.randomBytes(16)),
+        '--body', JSON.parse(result.stdout).body]);
+    })
+    .then(result => {
+      result.exitCode.should.equal(4);
+      const error = JSON.parse(result.stderr).error;
+      error.name.should.equal('DecryptionError');
+      error.code.should.equal('bad-auth-tag');
+    });
+  });
+
+  it('should exit with the validation code for bad decrypt arguments', function() {
+    const target = createSubscription();
+    return runCLI(['encrypt', '--payload', 'Hello, World!', '--encoding',
+      'aesgcm', '--json'], JSON.stringify(target.subscription))
+    .then(result => {
+      const request = JSON.parse(result.stdout);
+      const decrypt = args => runCLI(['decrypt', '--json', '--encoding',
+        'aesgcm', '--auth-secret', target.subscription.keys.auth,
+        '--dh', request.headers['Crypto-Key'].replace('dh=', ''),
+        '--body', request.body].concat(args));
+      return Promise.all([
+        decrypt(['--private-key', target.privateKey]),
+        decrypt(['--private-key', 'AAAA', '--salt',
+          request.headers.Encryption.replace('salt=', '')])
+      ]);
+    })
+    .then(results => {
+      results.map(result => result.exitCode).should.deep.equal([3, 3]);
+      results.map(result => JSON.parse(result.stderr).error.code)
+        .should.deep.equal(['missing-salt', 'invalid-private-key']);
+    });
+  });
+
+  it('should send a message', function() {
+    const target = createSubscription();
+    const requests = [];
+    const transport = details => {
+      requests.push(details);
+      return Promise.resolve({statusCode: 201, headers: {ttl: '30'}});
+    };
+    const vapidKeys = require('../src/index.js').generateVAPIDKeys();
+
+    return runCLI(['send', '--payload', 'Hello, World!', '--urgency', 'high',
+      '--vapid-subject', 'mailto:push@example.com',
+      '--vapid-public-key', vapidKeys.publicKey,
+      '--vapid-private-key', vapidKeys.privateKey, '--json'],
+      JSON.stringify(target.subscription), transport)
+    .then(result => {
+      result.exitCode.should.equal(0);
+      JSON.parse(result.stdout).should.deep.equal({
+        statusCode: 201,
+        attempts: 1,
+        ttl: 30
+      });
+      requests[0].headers.Urgency.should.equal('high');
+      requests[0].headers.Authorization.should.match(/^vapid t=/);
+    });
+  });
+
+  it('should exit with a code for each kind of error', function() {
+    const subscription = JSON.stringify(createSubscription().subscription);
+    const send = (response, args) => {
+      return runCLI(['send', '--payload', 'Hello'].concat(args || []),
+        subscription, respondWith(response))
+      .then(result => result.exitCode);
+    };
+
+    return Promise.all([
+      send({statusCode: 410}),
+      send({statusCode: 403}),
+      send({statusCode: 413}),
+      send({statusCode: 429}),
+      send({statusCode: 400}),
+      send({statusCode: 503}),
+      send({statusCode: 201}, ['--ttl', 'forever']),
+      send({statusCode: 201}, ['--urgency', 'urgent']),
+      runCLI(['send'], '{}').then(result => result.exitCode)
+    ])
+    .then(exitCodes => exitCodes.should.deep.equal([5, 6, 7, 8, 9, 10, 3, 3, 3]));
+  });
+
+  it('should exit with the validation code for bad VAPID arguments', function() {
+    const vapidKeys = require('../src/index.js').generateVAPIDKeys();
+    return runCLI(['send', '--payload', 'Hello', '--vapid-subject', 'nope',
+      '--vapid-public-key', vapidKeys.publicKey,
+      '--vapid-private-key', vapidKeys.privateKey, '--json'],
+      JSON.stringify(createSubscription().subscription), respondWith({
+        statusCode: 201
+      }))
+    .then(result => {
+      result.exitCode.should.equal(3);
+      JSON.parse(result.stderr).error.code.should.equal('invalid-vapid-subject');
+    });
+  });
+
+  it('should set the exit code of the process', function() {
+    this.timeout(10000);
+    const bin = path.join(__dirname, '..', 'bin', 'web-push-encryption.js');
+    const execute = (args, input) => new Promise(resolve => {
+      const child = childProcess.execFile(process.execPath, [bin].concat(args),
+        (err, stdout) => resolve({exitCode: err ? err.code : 0, stdout: stdout}));
+      child.stdin.end(input);
+    });
+
+    return execute(['validate-subscription', '--json'], '{"endpoint": "https://push.example.com/abc"}')
+    .then(result => {
+      result.exitCode.should.equal(3);
+      JSON.parse(result.stdout).errors[0].code.should.equal('missing-keys');
+    });
+  });
+});
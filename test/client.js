@@ -0,0 +1,165 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const expect = require('chai').expect;
+const proxyquire = require('proxyquire');
+
+const KEYS = {
+  auth: '8eDyX_uCN0XRhSbY5hs7Hg==',
+  p256dh: 'BCIWgsnyXDv1VkhqL2P7YRBvdeuDnlwAPT2guNhdIoW3IP7GmHh1SMKPLxRf7x8vJy6ZFK3ol2ohgn_-0yP7QQA='
+};
+
+const GCM_SUBSCRIPTION = {
+  endpoint: 'https://android.googleapis.com/gcm/send/abc',
+  keys: KEYS
+};
+
+const SUBSCRIPTION = {
+  endpoint: 'https://push.example.com/abc',
+  keys: KEYS
+};
+
+const API_KEYS = [
+  'AIza first key, which must be 40 chars..',
+  'AIza second key, which must be 40 chars.'
+];
+
+// A transport that records the requests it's given
+const createTransport = () => {
+  const transport = details => {
+    transport.requests.push(details);
+    return Promise.resolve({statusCode: 201, headers: {}});
+  };
+  transport.requests = [];
+  return transport;
+};
+
+describe('Test WebPushClient', function() {
+  it('should send with its own GCM API key', function() {
+    const library = require('../src/index.js');
+    const transport = createTransport();
+    const clients = API_KEYS.map(key => new library.WebPushClient({
+      gcmAPIKey: key,
+      transport: transport
+    }));
+
+    return Promise.all(clients.map(client => {
+      return client.send('Hello, World!', GCM_SUBSCRIPTION);
+    }))
+    .then(() => {
+      transport.requests.map(details => details.headers.Authorization)
+        .should.deep.equal(API_KEYS.map(key => `key=${key}`));
+    });
+  });
+
+  it('should send with its own VAPID details', function() {
+    const library = require('../src/index.js');
+    const client = new library.WebPushClient({
+      vapidDetails: Object.assign({
+        subject: 'mailto:push@example.com'
+      }, library.generateVAPIDKeys())
+    });
+
+    const details = client.generateRequestDetails('Hello, World!', SUBSCRIPTION);
+    details.headers.Authorization.should.match(/^vapid t=.*, k=/);
+    details.headers.Authorization.should.contain(client.vapidDetails.publicKey);
+  });
+
+  it('should merge the options for each message over its defaults', function() {
+    const library = require('../src/index.js');
+    const client = new library.WebPushClient({
+      defaults: {
+        ttl: 60,
+        urgency: 'high',
+        padding: {strategy: 'fixed', size: 100}
+      }
+    });
+
+    let details = client.generateRequestDetails('Hello, World!', SUBSCRIPTION);
+    details.headers.TTL.should.equal('60');
+    details.headers.Urgency.should.equal('high');
+    details.body.length.should.equal(86 + 100 + 1 + 16);
+
+    details = client.generateRequestDetails('Hello, World!', SUBSCRIPTION, {
+      ttl: 0,
+      encoding: 'aesgcm'
+    });
+    details.headers.TTL.should.equal('0');
+    details.headers.Urgency.should.equal('high');
+    details.headers['Content-Encoding'].should.equal('aesgcm');
+
+    client.encrypt('Hello, World!', SUBSCRIPTION).ciphertext.length
+      .should.equal(86 + 100 + 1 + 16);
+  });
+
+  it('should let each message override its credentials', function() {
+    const library = require('../src/index.js');
+    const transport = createTransport();
+    const client = new library.WebPushClient({
+      gcmAPIKey: API_KEYS[0],
+      transport: transport
+    });
+
+    return client.send('Hello, World!', GCM_SUBSCRIPTION, {
+      gcmAPIKey: API_KEYS[1]
+    })
+    .then(() => {
+      transport.requests[0].headers.Authorization.should.equal(`key=${API_KEYS[1]}`);
+    });
+  });
+
+  it('should send batches with its configuration', function() {
+    const library = require('../src/index.js');
+    const transport = createTransport();
+    const client = new library.WebPushClient({
+      gcmAPIKey: API_KEYS[0],
+      transport: transport,
+      defaults: {ttl: 60}
+    });
+
+    return client.sendBatch('Hello, World!', [GCM_SUBSCRIPTION, SUBSCRIPTION])
+    .then(report => {
+      report.succeeded.should.equal(2);
+      transport.requests.should.have.length(2);
+      transport.requests.forEach(details => details.headers.TTL.should.equal('60'));
+    });
+  });
+
+  it('should not share its GCM API key with the top level functions', function() {
+    // A fresh copy of the library, so the default client starts without a key
+    const library = proxyquire('../src/index.js', {});
+    const client = new library.WebPushClient({gcmAPIKey: API_KEYS[0]});
+    client.generateRequestDetails('Hello, World!', GCM_SUBSCRIPTION)
+      .headers.Authorization.should.equal(`key=${API_KEYS[0]}`);
+    expect(() => library.generateRequestDetails('Hello, World!', GCM_SUBSCRIPTION))
+      .to.throw('GCM requires an Auth Token parameter');
+
+    library.setGCMAPIKey(API_KEYS[1]);
+    library.generateRequestDetails('Hello, World!', GCM_SUBSCRIPTION)
+      .headers.Authorization.should.equal(`key=${API_KEYS[1]}`);
+    client.generateRequestDetails('Hello, World!', GCM_SUBSCRIPTION)
+      .headers.Authorization.should.equal(`key=${API_KEYS[0]}`);
+  });
+
+  it('should throw an error for an invalid GCM API key', function() {
+    const library = require('../src/index.js');
+    expect(() => new library.WebPushClient({gcmAPIKey: 'invalid'}))
+      .to.throw('expected Server API Key in the form AIza..., 40 characters long');
+  });
+});
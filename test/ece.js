@@ -0,0 +1,326 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const crypto = require('crypto');
+const expect = require('chai').expect;
+
+const b64 = value => new Buffer(value, 'base64');
+const ub64 = buffer => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=/g, '');
+
+// The examples from section 3 of RFC 8188
+const RFC8188_EXAMPLES = [
+  {
+    plaintext: 'I am the walrus',
+    key: 'yqdlZ-tYemfogSmv7Ws5PQ',
+    salt: 'I1BsxtFttlv3u_Oo94xnmw',
+    rs: 4096,
+    keyid: '',
+    output: 'I1BsxtFttlv3u_Oo94xnmwAAEAAA-NAVub2qFgBEuQKRapoZu-IxkIva3MEB1PD-ly8Thjg'
+  },
+  {
+    plaintext: 'I am the walrus',
+    key: 'BO3ZVPxUlnLORbVGMpbT1Q',
+    salt: 'uNCkWiNYzKTnBN9ji3-qWA',
+    rs: 25,
+    keyid: 'a1',
+    padding: 1,
+    output: 'uNCkWiNYzKTnBN9ji3-qWAAAABkCYTHOG8chz_gnvgOqdGYovxyjuqRyJFjEDyoF1Fvkj6hQPdPHI51OEUKEpgz3SsLWIqS_uA'
+  }
+];
+
+// The example from Appendix A of RFC 8291
+const RFC8291_EXAMPLE = {
+  plaintext: 'When I grow up, I want to be a watermelon',
+  senderPrivateKey: 'yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw',
+  receiverPublicKey: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+  receiverPrivateKey: 'q1dXpw3UpT5VOmu_cf_v6ih07Aems3njxI-JWgLcM94',
+  authSecret: 'BTBZMqHH6r4Tts7J_aSIgg',
+  salt: 'DGv6ra1nlYgDCS1FRnbzlw',
+  output: 'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN'
+};
+
+const expectDecryptionError = (fn, code) => {
+  let error;
+  try {
+    fn();
+  } catch (err) {
+    error = err;
+  }
+  expect(error).to.be.an.instanceof(require('../src/index.js').DecryptionError);
+  error.code.should.equal(code);
+};
+
+describe('Test the ece module', function() {
+  describe('Test hkdf()', function() {
+    it('should match the RFC 5869 SHA-256 test cases', function() {
+      const ece = require('../src/index.js').ece;
+      const ikm = new Buffer(22);
+      ikm.fill(0x0b);
+
+      ece.hkdf(new Buffer('000102030405060708090a0b0c', 'hex'), ikm,
+        new Buffer('f0f1f2f3f4f5f6f7f8f9', 'hex'), 42).toString('hex')
+        .should.equal('3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865');
+
+      ece.hkdf(new Buffer(0), ikm, new Buffer(0), 42).toString('hex')
+        .should.equal('8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8');
+    });
+
+    it('should throw an error for too long a key', function() {
+      const ece = require('../src/index.js').ece;
+      expect(() => ece.hkdf(new Buffer(0), new Buffer(0), new Buffer(0), 8161))
+        .to.throw('HKDF can\'t output more than 8160 bytes.');
+    });
+  });
+
+  describe('Test encrypt() and decrypt()', function() {
+    RFC8188_EXAMPLES.forEach((example, i) => {
+      it(`should reproduce example ${i + 1} from RFC 8188`, function() {
+        const ece = require('../src/index.js').ece;
+        const output = ece.encrypt(example.plaintext, {
+          key: b64(example.key),
+          keyid: example.keyid,
+          salt: b64(example.salt),
+          rs: example.rs,
+          padding: example.padding
+        });
+        ub64(output).should.equal(example.output);
+
+        ece.decrypt(b64(example.output), {key: b64(example.key)})
+          .toString('utf8').should.equal(example.plaintext);
+      });
+    });
+
+    it('should reproduce the RFC 8291 example with ECDH', function() {
+      const ece = require('../src/index.js').ece;
+      const output = ece.encrypt(RFC8291_EXAMPLE.plaintext, {
+        dh: b64(RFC8291_EXAMPLE.receiverPublicKey),
+        privateKey: b64(RFC8291_EXAMPLE.senderPrivateKey),
+        authSecret: b64(RFC8291_EXAMPLE.authSecret),
+        salt: b64(RFC8291_EXAMPLE.salt)
+      });
+      ub64(output).should.equal(RFC8291_EXAMPLE.output);
+
+      ece.decrypt(output, {
+        privateKey: b64(RFC8291_EXAMPLE.receiverPrivateKey),
+        authSecret: b64(RFC8291_EXAMPLE.authSecret)
+      }).toString('utf8').should.equal(RFC8291_EXAMPLE.plaintext);
+    });
+
+    it('should round trip content across many records', function() {
+      const ece = require('../src/index.js').ece;
+      const key = crypto.randomBytes(16);
+      // Content that fills its records exactly, spills into one more, and
+      // needs a record just for the padding.
+      [0, 1, 8, 16, 17, 1000].forEach(length => {
+        const plaintext = crypto.randomBytes(length);
+        [0, 3, 20].forEach(padding => {
+          const output = ece.encrypt(plaintext, {
+            key: key,
+            rs: 25,
+            padding: padding
+          });
+          ece.decrypt(output, {key: key}).equals(plaintext).should.equal(true);
+        });
+      });
+    });
+
+    it('should round trip content keyed with ECDH', function() {
+      const ece = require('../src/index.js').ece;
+      const receiver = crypto.createECDH('prime256v1');
+      receiver.generateKeys();
+      const plaintext = crypto.randomBytes(10000);
+
+      const output = ece.encrypt(plaintext, {dh: receiver.getPublicKey()});
+      ece.decrypt(output, {privateKey: receiver.getPrivateKey()})
+        .equals(plaintext).should.equal(true);
+    });
+
+    it('should look up the key by its keyid', function() {
+      const ece = require('../src/index.js').ece;
+      const keys = {
+        'webhooks-2017': crypto.randomBytes(16),
+        'blobs-2017': crypto.randomBytes(16)
+      };
+      const output = ece.encrypt('Stored blob', {
+        key: keys['blobs-2017'],
+        keyid: 'blobs-2017'
+      });
+
+      ece.decrypt(output, {key: keyid => keys[keyid.toString('utf8')]})
+        .toString('utf8').should.equal('Stored blob');
+    });
+
+    it('should detect records that are removed or reordered', function() {
+      const ece = require('../src/index.js').ece;
+      const key = b64(RFC8188_EXAMPLES[1].key);
+      const output = b64(RFC8188_EXAMPLES[1].output);
+      const header = output.slice(0, 23);
+      const records = [output.slice(23, 48), output.slice(48)];
+
+      expectDecryptionError(() => ece.decrypt(Buffer.concat([header, records[0]]), {key: key}),
+        'truncated-record');
+      expectDecryptionError(() => ece.decrypt(Buffer.concat([header, records[1], records[0]]), {key: key}),
+        'bad-auth-tag');
+      expectDecryptionError(() => ece.decrypt(Buffer.concat([header, records[0], records[1].slice(0, 10)]), {key: key}),
+        'truncated-record');
+      expectDecryptionError(() => ece.decrypt(output, {key: crypto.randomBytes(16)}),
+        'bad-auth-tag');
+    });
+
+    it('should throw an error for invalid options', function() {
+      const library = require('../src/index.js');
+      const ece = library.ece;
+      const key = crypto.randomBytes(16);
+      expect(() => ece.encrypt('Hello', {key: key, rs: 17}))
+        .to.throw('The record size must be a whole number of at least 18.');
+      expect(() => ece.encrypt('Hello', {key: key, salt: new Buffer(4)}))
+        .to.throw('The salt must be 16 bytes.');
+      expect(() => ece.encrypt('Hello', {key: key, keyid: new Buffer(256)}))
+        .to.throw('The keyid can\'t be longer than 255 bytes.');
+      [-1, 2.5, '10'].forEach(padding => {
+        expect(() => ece.encrypt('Hello', {key: key, padding: padding}))
+          .to.throw(library.ValidationError, 'The padding must be a whole number of bytes.')
+          .with.property('code', 'invalid-padding-length');
+      });
+      expect(() => ece.encrypt('Hello', {}))
+        .to.throw('ece.encrypt() needs a key or the receiver\'s public key (dh).');
+      expect(() => ece.decrypt(ece.encrypt('Hello', {key: key}), {}))
+        .to.throw('ece.decrypt() needs a key or the receiver\'s privateKey.');
+    });
+  });
+
+  describe('Test createEncryptStream() and createDecryptStream()', function() {
+    // Writes the chunks to the stream, if given, and resolves with everything
+    // it outputs
+    const runStream = (transform, chunks) => {
+      return new Promise((resolve, reject) => {
+        const output = [];
+        transform.on('data', data => output.push(data));
+        transform.on('end', () => resolve(Buffer.concat(output)));
+        transform.on('error', reject);
+        if (chunks) {
+          chunks.forEach(chunk => transform.write(chunk));
+          transform.end();
+        }
+      });
+    };
+
+    // Splits a buffer into chunks of the given size
+    const split = (buffer, size) => {
+      const chunks = [];
+      for (let i = 0; i < buffer.length; i += size) {
+        chunks.push(buffer.slice(i, i + size));
+      }
+      return chunks;
+    };
+
+    it('should produce the same output as encrypt()', function() {
+      const ece = require('../src/index.js').ece;
+      const options = {
+        key: crypto.randomBytes(16),
+        keyid: 'a1',
+        salt: crypto.randomBytes(16),
+        rs: 25
+      };
+
+      return Promise.all([0, 1, 8, 16, 17, 100].map(length => {
+        const plaintext = crypto.randomBytes(length);
+        return runStream(ece.createEncryptStream(options), split(plaintext, 3))
+        .then(output => {
+          output.equals(ece.encrypt(plaintext, options)).should.equal(true);
+        });
+      }));
+    });
+
+    it('should reproduce the first RFC 8188 example', function() {
+      const ece = require('../src/index.js').ece;
+      const example = RFC8188_EXAMPLES[0];
+      return runStream(ece.createEncryptStream({
+        key: b64(example.key),
+        salt: b64(example.salt)
+      }), [new Buffer(example.plaintext, 'utf8')])
+      .then(output => ub64(output).should.equal(example.output));
+    });
+
+    it('should decrypt content written in any size of chunk', function() {
+      const ece = require('../src/index.js').ece;
+      const example = RFC8188_EXAMPLES[1];
+      return Promise.all([1, 7, 25, 1000].map(size => {
+        return runStream(ece.createDecryptStream({key: b64(example.key)}),
+          split(b64(example.output), size))
+        .then(output => output.toString('utf8').should.equal(example.plaintext));
+      }));
+    });
+
+    it('should stream large content through both streams', function() {
+      const ece = require('../src/index.js').ece;
+      const receiver = crypto.createECDH('prime256v1');
+      receiver.generateKeys();
+      const plaintext = crypto.randomBytes(1024 * 1024);
+
+      const encryptStream = ece.createEncryptStream({
+        dh: receiver.getPublicKey(),
+        rs: 1024
+      });
+      const decryptStream = ece.createDecryptStream({
+        privateKey: receiver.getPrivateKey()
+      });
+      const output = runStream(decryptStream);
+      encryptStream.pipe(decryptStream);
+      split(plaintext, 10000).forEach(chunk => encryptStream.write(chunk));
+      encryptStream.end();
+
+      return output.then(output => output.equals(plaintext).should.equal(true));
+    });
+
+    it('should emit an error when records are missing from the end', function() {
+      const ece = require('../src/index.js').ece;
+      const example = RFC8188_EXAMPLES[1];
+      const output = b64(example.output);
+      return runStream(ece.createDecryptStream({key: b64(example.key)}),
+        [output.slice(0, 48)])
+      .then(() => {
+        throw new Error('The stream was expected to emit an error.');
+      }, err => {
+        err.should.be.an.instanceof(require('../src/index.js').DecryptionError);
+        err.code.should.equal('truncated-record');
+      });
+    });
+
+    it('should emit an error when the header is truncated', function() {
+      const ece = require('../src/index.js').ece;
+      return runStream(ece.createDecryptStream({key: crypto.randomBytes(16)}),
+        [new Buffer(10)])
+      .then(() => {
+        throw new Error('The stream was expected to emit an error.');
+      }, err => {
+        err.code.should.equal('truncated-record');
+      });
+    });
+
+    it('should throw an error for invalid options', function() {
+      const ece = require('../src/index.js').ece;
+      expect(() => ece.createEncryptStream({key: crypto.randomBytes(16), rs: 10}))
+        .to.throw('The record size must be a whole number of at least 18.');
+    });
+  });
+});
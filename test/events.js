@@ -0,0 +1,185 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const sinon = require('sinon');
+
+const SUBSCRIPTION = {
+  endpoint: 'https://push.example.com/secret-id',
+  keys: {
+    auth: '8eDyX_uCN0XRhSbY5hs7Hg==',
+    p256dh: 'BCIWgsnyXDv1VkhqL2P7YRBvdeuDnlwAPT2guNhdIoW3IP7GmHh1SMKPLxRf7x8vJy6ZFK3ol2ohgn_-0yP7QQA='
+  }
+};
+
+const EVENTS = ['encrypt:start', 'encrypt:end', 'request:start', 'response',
+  'retry', 'subscription:gone'];
+
+// Records every event emitted by an EventEmitter, in order
+const record = emitter => {
+  const events = [];
+  EVENTS.forEach(name => {
+    emitter.on(name, details => events.push({name: name, details: details}));
+  });
+  return events;
+};
+
+// A transport that responds with each of the responses in turn
+const respondWith = responses => () => {
+  const response = responses.shift();
+  return response instanceof Error ?
+    Promise.reject(response) : Promise.resolve(response);
+};
+
+describe('Test send events', function() {
+  it('should emit events for each step of a send', function() {
+    const library = require('../src/index.js');
+    const client = new library.WebPushClient({
+      transport: respondWith([{statusCode: 201, headers: {}}])
+    });
+    const events = record(client);
+
+    return client.send('Hello, World!', SUBSCRIPTION, {paddingLength: 5})
+    .then(() => {
+      events.map(event => event.name).should.deep.equal(['encrypt:start',
+        'encrypt:end', 'request:start', 'response']);
+      events.forEach(event => {
+        event.details.service.should.equal('generic');
+        event.details.origin.should.equal('https://push.example.com');
+        event.details.endpoint.should.equal('https://push.example.com/[redacted]');
+        event.details.attempt.should.equal(1);
+        JSON.stringify(event.details).should.not.contain('secret-id');
+        JSON.stringify(event.details).should.not.contain(SUBSCRIPTION.keys.auth);
+      });
+
+      events[0].details.encoding.should.equal('aes128gcm');
+      events[0].details.payloadSize.should.equal(13);
+      events[1].details.paddingLength.should.equal(5);
+      // The aes128gcm header, the message, the padding, the delimiter and the
+      // auth tag
+      events[1].details.bodySize.should.equal(86 + 13 + 5 + 1 + 16);
+      events[1].details.duration.should.be.at.least(0);
+      events[2].details.method.should.equal('POST');
+      events[3].details.statusCode.should.equal(201);
+      events[3].details.latency.should.be.at.least(0);
+    });
+  });
+
+  it('should emit events for retries and failed requests', function() {
+    const library = require('../src/index.js');
+    const networkError = new Error('socket hang up');
+    networkError.code = 'ECONNRESET';
+    const client = new library.WebPushClient({
+      transport: respondWith([
+        networkError,
+        {statusCode: 429, headers: {'retry-after': '0'}},
+        {statusCode: 410, headers: {}}
+      ])
+    });
+    const events = record(client);
+
+    return client.send('', SUBSCRIPTION, {retry: {maxAttempts: 3, baseDelay: 1}})
+    .then(() => {
+      throw new Error('Expected the send to fail');
+    }, err => {
+      err.should.be.an.instanceof(library.SubscriptionGoneError);
+      events.map(event => [event.name, event.details.attempt]).should.deep.equal([
+        ['request:start', 1],
+        ['response', 1],
+        ['retry', 1],
+        ['request:start', 2],
+        ['response', 2],
+        ['retry', 2],
+        ['request:start', 3],
+        ['response', 3],
+        ['subscription:gone', 3]
+      ]);
+
+      expect(events[1].details.statusCode).to.equal(null);
+      events[1].details.error.should.equal('ECONNRESET');
+      events[2].details.reason.should.equal('ECONNRESET');
+      events[5].details.reason.should.equal('rate-limited');
+      events[5].details.delay.should.equal(0);
+      events[8].details.statusCode.should.equal(410);
+    });
+  });
+
+  it('should only include the whole endpoint when asked to', function() {
+    const library = require('../src/index.js');
+    const emitter = new EventEmitter();
+    const events = record(emitter);
+
+    return library.sendWebPush('', SUBSCRIPTION, {
+      events: emitter,
+      redactEndpoints: false,
+      transport: respondWith([{statusCode: 201}])
+    })
+    .then(() => {
+      events.length.should.equal(2);
+      events.forEach(event => {
+        event.details.endpoint.should.equal(SUBSCRIPTION.endpoint);
+      });
+    });
+  });
+
+  it('should emit events for messages sent with the module functions', function() {
+    const library = require('../src/index.js');
+    const listener = sinon.spy();
+    library.on('response', listener);
+
+    return library.sendWebPush('', SUBSCRIPTION, {
+      transport: respondWith([{statusCode: 201}])
+    })
+    .then(() => {
+      library.removeListener('response', listener);
+      listener.calledOnce.should.equal(true);
+      listener.firstCall.args[0].statusCode.should.equal(201);
+    });
+  });
+
+  it('should keep sending when a listener throws', function() {
+    const library = require('../src/index.js');
+    const emitter = new EventEmitter();
+    emitter.on('encrypt:start', () => {
+      throw new Error('Broken listener');
+    });
+    const emitWarning = sinon.stub(process, 'emitWarning');
+
+    return library.sendWebPush('Hello', SUBSCRIPTION, {
+      events: emitter,
+      transport: respondWith([{statusCode: 201}])
+    })
+    .then(result => {
+      emitWarning.restore();
+      result.statusCode.should.equal(201);
+      emitWarning.calledOnce.should.equal(true);
+      emitWarning.firstCall.args[0].message.should.equal('Broken listener');
+    }, err => {
+      emitWarning.restore();
+      throw err;
+    });
+  });
+
+  it('should throw if the events option is not an EventEmitter', function() {
+    const library = require('../src/index.js');
+    expect(() => library.sendWebPush('', SUBSCRIPTION, {events: {}}))
+      .to.throw(library.ValidationError, /EventEmitter/);
+  });
+});
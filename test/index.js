@@ -29,6 +29,23 @@ const EXAMPLE_SALT = 'AAAAAAAAAAAAAAAAAAAAAA==';
 
 const EXAMPLE_INPUT = 'Hello, World.';
 const EXAMPLE_OUTPUT = 'CE2OS6BxfXsC2YbTdfkeWLlt4AKWbHZ3Fe53n5/4Yg==';
+const EXAMPLE_AESGCM128_OUTPUT = '20JaS8mkj6dX8TFCEXhjbFIScg+H4KE2+DdMLeBAbEAv';
+
+// The example from Appendix A of RFC 8291
+const RFC8291_EXAMPLE = {
+  input: 'When I grow up, I want to be a watermelon',
+  serverKeys: {
+    public: 'BP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A8',
+    private: 'yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw'
+  },
+  clientKeys: {
+    public: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+    private: 'q1dXpw3UpT5VOmu_cf_v6ih07Aems3njxI-JWgLcM94'
+  },
+  authSecret: 'BTBZMqHH6r4Tts7J_aSIgg',
+  salt: 'DGv6ra1nlYgDCS1FRnbzlw',
+  output: 'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN'
+};
 
 const VALID_SUBSCRIPTION = {
   endpoint: 'https://example-endpoint.com/example/1234',
@@ -76,6 +93,36 @@ const SERVER_PUBLIC_KEY_LENGTH = 65;
 
 let testStubs = [];
 
+const ub64 = buffer => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=/g, '');
+
+// Replaces the random salt and server keys so that encrypt() gives known output
+const stubEncryptionValues = (salt, serverKeys) => {
+  let crypto = require('crypto');
+
+  // This is for the salt
+  let saltStub = sinon.stub(crypto, 'randomBytes');
+  saltStub.withArgs(16).returns(new Buffer(salt, 'base64'));
+  testStubs.push(saltStub);
+
+  // Server key generation
+  const exampleECDH = crypto.createECDH('prime256v1');
+  exampleECDH.generateKeys();
+  exampleECDH.setPrivateKey(serverKeys.private, 'base64');
+  exampleECDH.setPublicKey(serverKeys.public, 'base64');
+  // Make this a NOOP
+  exampleECDH.generateKeys = () => {
+    return exampleECDH.getPublicKey();
+  };
+  let ecdhStub = sinon.stub(crypto, 'createECDH');
+  ecdhStub.withArgs('prime256v1').returns(exampleECDH);
+  testStubs.push(ecdhStub);
+
+  return crypto;
+};
+
 describe('Test the Libraries Top Level API', function() {
   const restoreStubs = () => {
     testStubs.forEach(stub => {
@@ -161,32 +208,15 @@ describe('Test the Libraries Top Level API', function() {
       ).to.throw('Subscription is missing some encryption details');
     });
 
-    it('should return the correct encryption values', function() {
-      let crypto = require('crypto');
-
-      // This is for the salt
-      let saltStub = sinon.stub(crypto, 'randomBytes');
-      saltStub.withArgs(16).returns(new Buffer(EXAMPLE_SALT, 'base64'));
-      testStubs.push(saltStub);
-
-      // Server key generation
-      const exampleECDH = crypto.createECDH('prime256v1');
-      exampleECDH.generateKeys();
-      exampleECDH.setPrivateKey(EXAMPLE_SERVER_KEYS.private, 'base64');
-      exampleECDH.setPublicKey(EXAMPLE_SERVER_KEYS.public, 'base64');
-      // Make this a NOOP
-      exampleECDH.generateKeys = () => {
-        return exampleECDH.getPublicKey();
-      };
-      let ecdhStub = sinon.stub(crypto, 'createECDH');
-      ecdhStub.withArgs('prime256v1').returns(exampleECDH);
-      testStubs.push(ecdhStub);
-
+    it('should return the correct encryption values for aesgcm', function() {
+      const crypto = stubEncryptionValues(EXAMPLE_SALT, EXAMPLE_SERVER_KEYS);
       const library = proxyquire('../src/index.js', {
         'crypto': crypto
       });
 
-      const response = library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION);
+      const response = library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, {
+        encoding: 'aesgcm'
+      });
       Buffer.isBuffer(response.salt).should.equal(true);
       response.salt.should.have.length(SALT_LENGTH);
       response.salt.toString('base64').should.equal(EXAMPLE_SALT);
@@ -198,25 +228,556 @@ describe('Test the Libraries Top Level API', function() {
       response.ciphertext.toString('base64').should.equal(EXAMPLE_OUTPUT);
     });
 
+    it('should return the correct encryption values for aes128gcm', function() {
+      const crypto = stubEncryptionValues(RFC8291_EXAMPLE.salt, RFC8291_EXAMPLE.serverKeys);
+      const library = proxyquire('../src/index.js', {
+        'crypto': crypto
+      });
+
+      const response = library.encrypt(RFC8291_EXAMPLE.input, {
+        keys: {
+          p256dh: RFC8291_EXAMPLE.clientKeys.public,
+          auth: RFC8291_EXAMPLE.authSecret
+        }
+      });
+      ub64(response.salt).should.equal(RFC8291_EXAMPLE.salt);
+      ub64(response.serverPublicKey).should.equal(RFC8291_EXAMPLE.serverKeys.public);
+      ub64(response.ciphertext).should.equal(RFC8291_EXAMPLE.output);
+    });
+
+    it('should reproduce the aesgcm example with unsafeDeterministic', function() {
+      const library = require('../src/index.js');
+      const response = library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, {
+        encoding: 'aesgcm',
+        unsafeDeterministic: {
+          salt: EXAMPLE_SALT,
+          serverPrivateKey: EXAMPLE_SERVER_KEYS.private
+        }
+      });
+      response.salt.toString('base64').should.equal(EXAMPLE_SALT);
+      response.serverPublicKey.toString('base64').should.equal(EXAMPLE_SERVER_KEYS.public);
+      response.ciphertext.toString('base64').should.equal(EXAMPLE_OUTPUT);
+    });
+
+    it('should encrypt aesgcm128 as described in draft 01', function() {
+      const library = require('../src/index.js');
+      // Encrypted with the draft 01 version of Mozilla's http_ece, which never
+      // uses an auth secret, even though this subscription has one.
+      const response = library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, {
+        encoding: 'aesgcm128',
+        paddingLength: 3,
+        unsafeDeterministic: {
+          salt: EXAMPLE_SALT,
+          serverPrivateKey: EXAMPLE_SERVER_KEYS.private
+        }
+      });
+      response.ciphertext.toString('base64')
+        .should.equal(EXAMPLE_AESGCM128_OUTPUT);
+    });
+
+    it('should reproduce the RFC 8291 example with unsafeDeterministic', function() {
+      const library = require('../src/index.js');
+      const response = library.encrypt(RFC8291_EXAMPLE.input, {
+        keys: {
+          p256dh: RFC8291_EXAMPLE.clientKeys.public,
+          auth: RFC8291_EXAMPLE.authSecret
+        }
+      }, {
+        unsafeDeterministic: {
+          salt: new Buffer(RFC8291_EXAMPLE.salt, 'base64'),
+          serverPrivateKey: new Buffer(RFC8291_EXAMPLE.serverKeys.private, 'base64')
+        }
+      });
+      ub64(response.salt).should.equal(RFC8291_EXAMPLE.salt);
+      ub64(response.serverPublicKey).should.equal(RFC8291_EXAMPLE.serverKeys.public);
+      ub64(response.ciphertext).should.equal(RFC8291_EXAMPLE.output);
+    });
+
+    it('should warn once when unsafeDeterministic is used', function() {
+      // A fresh copy of the module, which hasn't warned yet
+      const encryption = proxyquire('../src/encrypt.js', {});
+      const warnings = [];
+      const onWarning = warning => warnings.push(warning);
+      process.on('warning', onWarning);
+
+      const options = {
+        unsafeDeterministic: {
+          salt: EXAMPLE_SALT,
+          serverPrivateKey: EXAMPLE_SERVER_KEYS.private
+        }
+      };
+      encryption.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, options);
+      encryption.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, options);
+
+      return new Promise(resolve => setImmediate(resolve))
+      .then(() => {
+        process.removeListener('warning', onWarning);
+        warnings.should.have.length(1);
+        warnings[0].name.should.equal('UnsafeDeterministicWarning');
+      });
+    });
+
+    it('should throw an error for invalid unsafeDeterministic values', function() {
+      const library = require('../src/index.js');
+      expect(() => library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, {
+        unsafeDeterministic: {salt: 'AAAA', serverPrivateKey: EXAMPLE_SERVER_KEYS.private}
+      })).to.throw('unsafeDeterministic.salt must be 16 bytes.');
+      expect(() => library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, {
+        unsafeDeterministic: {salt: EXAMPLE_SALT}
+      })).to.throw('unsafeDeterministic.serverPrivateKey must be a P-256 private key.');
+    });
+
+    it('should use aes128gcm by default', function() {
+      const library = require('../src/index.js');
+      const response = library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, 10);
+      // 86 byte header, the message, the delimiter, 10 bytes of padding and
+      // the 16 byte auth tag.
+      response.ciphertext.should.have.length(86 + 13 + 1 + 10 + 16);
+      response.ciphertext.slice(0, 16).equals(response.salt).should.equal(true);
+      response.ciphertext.readUInt32BE(16).should.equal(4096);
+      response.ciphertext.readUInt8(20).should.equal(65);
+      response.ciphertext.slice(21, 86).equals(response.serverPublicKey).should.equal(true);
+    });
+
+    it('should throw an error for an unknown encoding', function() {
+      const library = require('../src/index.js');
+      expect(
+        () => library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, {encoding: 'rot13'})
+      ).to.throw('Unsupported content encoding \'rot13\'. Expected one of aesgcm, aes128gcm, aesgcm128.');
+    });
+
     it('should throw an error when the input is too large', function() {
       const library = require('../src/index.js');
 
+      const aesgcm = {encoding: 'aesgcm'};
+
       let largeInput = new Buffer(4081);
       largeInput.fill(0);
 
       expect(
-        () => library.encrypt(largeInput.toString('utf8'), VALID_SUBSCRIPTION)
+        () => library.encrypt(largeInput.toString('utf8'), VALID_SUBSCRIPTION, aesgcm)
       ).to.throw('Payload is too large. The max number of bytes is 4078, input is 4081 bytes plus 0 bytes of padding.');
 
       largeInput = new Buffer(5000);
       largeInput.fill(0);
 
       expect(
-        () => library.encrypt(largeInput.toString('utf8'), VALID_SUBSCRIPTION)
+        () => library.encrypt(largeInput.toString('utf8'), VALID_SUBSCRIPTION, aesgcm)
       ).to.throw('Payload is too large. The max number of bytes is 4078, input is 5000 bytes plus 0 bytes of padding.');
 
-      expect(() => library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, 4080))
+      expect(() => library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, {encoding: 'aesgcm', paddingLength: 4080}))
         .to.throw('Payload is too large. The max number of bytes is 4078, input is 13 bytes plus 4080 bytes of padding.');
+
+      largeInput = new Buffer(3994);
+      largeInput.fill(0);
+
+      expect(
+        () => library.encrypt(largeInput, VALID_SUBSCRIPTION)
+      ).to.throw('Payload is too large. The max number of bytes is 3993, input is 3994 bytes plus 0 bytes of padding.');
+
+      expect(() => library.encrypt(EXAMPLE_INPUT, VALID_SUBSCRIPTION, 3981))
+        .to.throw('Payload is too large. The max number of bytes is 3993, input is 13 bytes plus 3981 bytes of padding.');
+    });
+  });
+
+  describe('Test encrypt() padding strategies', function() {
+    const crypto = require('crypto');
+    const clientECDH = crypto.createECDH('prime256v1');
+    const subscription = {
+      keys: {
+        p256dh: clientECDH.generateKeys('base64'),
+        auth: crypto.randomBytes(16).toString('base64')
+      }
+    };
+
+    // The length of the message plus padding, which is what the strategies
+    // control, and check the message survives the round trip.
+    const paddedLength = (payload, encoding) => {
+      const message = require('../src/index.js').decrypt(payload.ciphertext, {
+        privateKey: clientECDH.getPrivateKey(),
+        authSecret: subscription.keys.auth,
+        salt: payload.salt,
+        serverPublicKey: payload.serverPublicKey,
+        encoding: encoding
+      });
+      message.toString('utf8').should.equal(EXAMPLE_INPUT);
+      if (encoding === 'aes128gcm') {
+        return payload.ciphertext.length - 86 - 1 - 16;
+      }
+      return payload.ciphertext.length - (encoding === 'aesgcm' ? 2 : 1) - 16;
+    };
+
+    ['aes128gcm', 'aesgcm'].forEach(encoding => {
+      it(`should pad to a fixed size with ${encoding}`, function() {
+        const library = require('../src/index.js');
+        const payload = library.encrypt(EXAMPLE_INPUT, subscription, {
+          encoding: encoding,
+          padding: {strategy: 'fixed', size: 100}
+        });
+        paddedLength(payload, encoding).should.equal(100);
+      });
+
+      it(`should pad to the next bucket with ${encoding}`, function() {
+        const library = require('../src/index.js');
+        const padding = {strategy: 'buckets', sizes: [1024, 8, 256]};
+        paddedLength(library.encrypt(EXAMPLE_INPUT, subscription, {
+          encoding: encoding,
+          padding: padding
+        }), encoding).should.equal(256);
+
+        const maxLength = encoding === 'aesgcm' ? 4078 : 3993;
+        const longInput = new Buffer(2000);
+        longInput.fill(0);
+        const payload = library.encrypt(longInput, subscription, {
+          encoding: encoding,
+          padding: padding
+        });
+        (payload.ciphertext.length - (encoding === 'aesgcm' ? 18 : 103))
+          .should.equal(maxLength);
+      });
+
+      it(`should pad to the maximum with ${encoding}`, function() {
+        const library = require('../src/index.js');
+        const payload = library.encrypt(EXAMPLE_INPUT, subscription, {
+          encoding: encoding,
+          padding: 'max'
+        });
+        paddedLength(payload, encoding).should.equal(
+          encoding === 'aesgcm' ? 4078 : 3993);
+      });
+
+      it(`should add a random amount of padding with ${encoding}`, function() {
+        const library = require('../src/index.js');
+        const lengths = [];
+        for (let i = 0; i < 20; i++) {
+          lengths.push(paddedLength(library.encrypt(EXAMPLE_INPUT, subscription, {
+            encoding: encoding,
+            padding: {strategy: 'random', min: 10, max: 20}
+          }), encoding));
+        }
+        lengths.forEach(length => length.should.be.within(EXAMPLE_INPUT.length + 10, EXAMPLE_INPUT.length + 20));
+        lengths.filter((length, i) => lengths.indexOf(length) === i).length.should.be.above(1);
+      });
+    });
+
+    it('should not add more than 255 bytes of padding with aesgcm128', function() {
+      const library = require('../src/index.js');
+      const encrypt = padding => library.encrypt(EXAMPLE_INPUT, subscription, {
+        encoding: 'aesgcm128',
+        padding: padding
+      });
+
+      paddedLength(encrypt({strategy: 'fixed', size: 100}), 'aesgcm128').should.equal(100);
+      paddedLength(encrypt('max'), 'aesgcm128').should.equal(EXAMPLE_INPUT.length + 255);
+      paddedLength(encrypt({strategy: 'buckets', sizes: [1024]}), 'aesgcm128')
+        .should.equal(EXAMPLE_INPUT.length + 255);
+      paddedLength(encrypt({strategy: 'random', min: 1000, max: 2000}), 'aesgcm128')
+        .should.equal(EXAMPLE_INPUT.length + 255);
+
+      expect(() => encrypt({strategy: 'fixed', size: 1000}))
+        .to.throw('aesgcm128 can only add 255 bytes of padding, but ' +
+          `${1000 - EXAMPLE_INPUT.length} were asked for.`);
+      expect(() => library.encrypt(EXAMPLE_INPUT, subscription, {
+        encoding: 'aesgcm128',
+        paddingLength: 256
+      })).to.throw('aesgcm128 can only add 255 bytes of padding, but 256 were asked for.');
+    });
+
+    it('should not add more random padding than fits', function() {
+      const library = require('../src/index.js');
+      const payload = library.encrypt(EXAMPLE_INPUT, subscription, {
+        padding: {strategy: 'random', min: 3993, max: 3993}
+      });
+      paddedLength(payload, 'aes128gcm').should.equal(3993);
+    });
+
+    it('should pass the padding strategy on from generateRequestDetails()', function() {
+      const library = require('../src/index.js');
+      const details = library.generateRequestDetails(EXAMPLE_INPUT, VALID_SUBSCRIPTION, {
+        padding: {strategy: 'fixed', size: 100}
+      });
+      details.body.length.should.equal(86 + 100 + 1 + 16);
+    });
+
+    it('should throw an error for invalid padding strategies', function() {
+      const library = require('../src/index.js');
+      const encryptWith = padding => () => library.encrypt(EXAMPLE_INPUT, subscription, {padding: padding});
+
+      expect(encryptWith({strategy: 'fixed', size: 5}))
+        .to.throw('The message is 13 bytes, which is longer than the padded size of 5 bytes.');
+      expect(encryptWith({strategy: 'fixed', size: 3994}))
+        .to.throw('padding.size must be a whole number of bytes no more than 3993.');
+      expect(encryptWith({strategy: 'buckets', sizes: []}))
+        .to.throw('padding.sizes must be an array of sizes.');
+      expect(encryptWith({strategy: 'buckets', sizes: [100, -1]}))
+        .to.throw('padding.sizes must be a whole number of bytes no more than 3993.');
+      expect(encryptWith({strategy: 'random', min: 20, max: 10}))
+        .to.throw('padding.min must not be more than padding.max.');
+      expect(encryptWith('shortest'))
+        .to.throw('Unsupported padding strategy \'shortest\'. Expected one of fixed, buckets, max, random.');
+      expect(encryptWith(10))
+        .to.throw('The padding option must be a padding strategy.');
+      expect(() => library.encrypt(EXAMPLE_INPUT, subscription, {padding: 'max', paddingLength: 10}))
+        .to.throw('The padding and paddingLength options can\'t be used together.');
+    });
+
+    it('should throw an error for an invalid paddingLength', function() {
+      const library = require('../src/index.js');
+      ['10', -1, NaN, 2.5].forEach(paddingLength => {
+        ['aes128gcm', 'aesgcm'].forEach(encoding => {
+          expect(() => library.encrypt(EXAMPLE_INPUT, subscription, {
+            encoding: encoding,
+            paddingLength: paddingLength
+          }))
+          .to.throw(library.ValidationError, 'paddingLength must be a whole number of bytes.')
+          .with.property('code', 'invalid-padding-length');
+        });
+      });
+      // Older callers pass the padding length instead of the options
+      expect(() => library.encrypt(EXAMPLE_INPUT, subscription, '10'))
+        .to.throw(library.ValidationError).with.property('code', 'invalid-padding-length');
+    });
+  });
+
+  describe('Test decrypt() method', function() {
+    const crypto = require('crypto');
+    const clientECDH = crypto.createECDH('prime256v1');
+    const subscription = {
+      keys: {
+        p256dh: clientECDH.generateKeys('base64'),
+        auth: crypto.randomBytes(16).toString('base64')
+      }
+    };
+    const decryptOptions = {
+      privateKey: clientECDH.getPrivateKey(),
+      authSecret: subscription.keys.auth
+    };
+
+    const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+    // Encrypts the plaintext exactly as given, using the keys from the RFC 8291
+    // example, so that we can create records with bad padding.
+    const encryptRFC8291Record = plaintext => {
+      const serverECDH = crypto.createECDH('prime256v1');
+      serverECDH.setPrivateKey(RFC8291_EXAMPLE.serverKeys.private, 'base64');
+      const serverPublicKey = serverECDH.getPublicKey();
+      const clientPublicKey = new Buffer(RFC8291_EXAMPLE.clientKeys.public, 'base64');
+      const salt = new Buffer(RFC8291_EXAMPLE.salt, 'base64');
+      const authSecret = new Buffer(RFC8291_EXAMPLE.authSecret, 'base64');
+      const sharedSecret = serverECDH.computeSecret(clientPublicKey);
+      const keyInfo = Buffer.concat([new Buffer('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+      const ikm = hmac(hmac(authSecret, sharedSecret), Buffer.concat([keyInfo, new Buffer([1])]));
+      const prk = hmac(salt, ikm);
+      const key = hmac(prk, new Buffer('Content-Encoding: aes128gcm\0\x01')).slice(0, 16);
+      const nonce = hmac(prk, new Buffer('Content-Encoding: nonce\0\x01')).slice(0, 12);
+
+      const cipher = crypto.createCipheriv('id-aes128-GCM', key, nonce);
+      const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+      const header = new Buffer(21);
+      salt.copy(header);
+      header.writeUInt32BE(4096, 16);
+      header.writeUInt8(65, 20);
+      return Buffer.concat([header, serverPublicKey, ciphertext]);
+    };
+
+    const RFC8291_DECRYPT_OPTIONS = {
+      privateKey: RFC8291_EXAMPLE.clientKeys.private,
+      authSecret: RFC8291_EXAMPLE.authSecret
+    };
+
+    it('should decrypt an aes128gcm message', function() {
+      const library = require('../src/index.js');
+      const payload = library.encrypt('Hello, World', subscription, 100);
+      library.decrypt(payload.ciphertext, decryptOptions)
+        .toString('utf8').should.equal('Hello, World');
+    });
+
+    it('should decrypt an aesgcm message', function() {
+      const library = require('../src/index.js');
+      const payload = library.encrypt('Hello, World', subscription, {
+        encoding: 'aesgcm',
+        paddingLength: 100
+      });
+      library.decrypt(payload.ciphertext, {
+        privateKey: decryptOptions.privateKey,
+        authSecret: decryptOptions.authSecret,
+        salt: payload.salt,
+        serverPublicKey: payload.serverPublicKey,
+        encoding: 'aesgcm'
+      }).toString('utf8').should.equal('Hello, World');
+    });
+
+    it('should decrypt an aesgcm128 message', function() {
+      const library = require('../src/index.js');
+      const decryptAesgcm128 = (payload, authSecret) => library.decrypt(payload.ciphertext, {
+        privateKey: decryptOptions.privateKey,
+        authSecret: authSecret,
+        salt: payload.salt,
+        serverPublicKey: payload.serverPublicKey,
+        encoding: 'aesgcm128'
+      }).toString('utf8');
+
+      const payload = library.encrypt('Hello, World', subscription, {
+        encoding: 'aesgcm128',
+        paddingLength: 100
+      });
+      // The auth secret isn't part of aesgcm128, so it makes no difference
+      decryptAesgcm128(payload).should.equal('Hello, World');
+      decryptAesgcm128(payload, decryptOptions.authSecret).should.equal('Hello, World');
+
+      // Subscriptions from before auth secrets were added
+      const noAuthPayload = library.encrypt('Hello, World', {
+        keys: {p256dh: subscription.keys.p256dh}
+      }, {encoding: 'aesgcm128'});
+      decryptAesgcm128(noAuthPayload).should.equal('Hello, World');
+    });
+
+    it('should decrypt the RFC 8291 example', function() {
+      const library = require('../src/index.js');
+      library.decrypt(new Buffer(RFC8291_EXAMPLE.output, 'base64'), RFC8291_DECRYPT_OPTIONS)
+        .toString('utf8').should.equal(RFC8291_EXAMPLE.input);
+    });
+
+    it('should throw an error when aesgcm details are missing', function() {
+      const library = require('../src/index.js');
+      const payload = library.encrypt('Hello, World', subscription, {encoding: 'aesgcm'});
+      expect(
+        () => library.decrypt(payload.ciphertext, {
+          privateKey: decryptOptions.privateKey,
+          authSecret: decryptOptions.authSecret,
+          encoding: 'aesgcm'
+        })
+      ).to.throw('aesgcm payloads require a salt and serverPublicKey.');
+    });
+
+    it('should throw typed errors for invalid input', function() {
+      const library = require('../src/index.js');
+      const codeFor = (func, ErrorClass) => {
+        try {
+          func();
+        } catch (err) {
+          err.should.be.an.instanceof(ErrorClass);
+          return err.code;
+        }
+        throw new Error('Expected an error');
+      };
+      const payload = library.encrypt('Hello, World', subscription, {encoding: 'aesgcm'});
+      const aesgcmOptions = Object.assign({
+        encoding: 'aesgcm',
+        salt: payload.salt,
+        serverPublicKey: payload.serverPublicKey
+      }, decryptOptions);
+      // A point that isn't on the curve
+      const badServerKey = new Buffer(payload.serverPublicKey);
+      badServerKey[64] ^= 1;
+      const badHeader = library.encrypt('Hello, World', subscription).ciphertext;
+      badHeader[86 - 1] ^= 1;
+
+      codeFor(() => library.decrypt('Hello', decryptOptions), library.ValidationError)
+        .should.equal('invalid-ciphertext');
+      codeFor(() => library.decrypt(payload.ciphertext, {privateKey: decryptOptions.privateKey}),
+        library.ValidationError).should.equal('missing-keys');
+      codeFor(() => library.decrypt(payload.ciphertext, Object.assign({}, aesgcmOptions, {salt: undefined})),
+        library.ValidationError).should.equal('missing-salt');
+      codeFor(() => library.decrypt(payload.ciphertext, Object.assign({}, aesgcmOptions, {privateKey: 'AAAA'})),
+        library.ValidationError).should.equal('invalid-private-key');
+      codeFor(() => library.decrypt(payload.ciphertext, Object.assign({}, aesgcmOptions, {serverPublicKey: badServerKey})),
+        library.DecryptionError).should.equal('invalid-server-public-key');
+      codeFor(() => library.decrypt(badHeader, decryptOptions), library.DecryptionError)
+        .should.equal('invalid-server-public-key');
+    });
+
+    it('should throw an error when the auth tag does not match', function() {
+      const library = require('../src/index.js');
+      const payload = library.encrypt('Hello, World', subscription);
+      payload.ciphertext[90] ^= 1;
+      expect(
+        () => library.decrypt(payload.ciphertext, decryptOptions)
+      ).to.throw(library.DecryptionError).with.property('code', 'bad-auth-tag');
+    });
+
+    it('should throw an error when the payload is truncated', function() {
+      const library = require('../src/index.js');
+      const payload = library.encrypt('Hello, World', subscription);
+      expect(
+        () => library.decrypt(payload.ciphertext.slice(0, 50), decryptOptions)
+      ).to.throw(Error).with.property('code', 'truncated-record');
+      expect(
+        () => library.decrypt(payload.ciphertext.slice(0, 100), decryptOptions)
+      ).to.throw(Error).with.property('code', 'truncated-record');
+      expect(
+        () => library.decrypt(encryptRFC8291Record(new Buffer('Hello\x01\0\0')), RFC8291_DECRYPT_OPTIONS)
+      ).to.throw(Error).with.property('code', 'truncated-record');
+    });
+
+    it('should throw an error when the padding is malformed', function() {
+      const library = require('../src/index.js');
+      expect(
+        () => library.decrypt(encryptRFC8291Record(new Buffer('Hello\x03\0\0')), RFC8291_DECRYPT_OPTIONS)
+      ).to.throw(Error).with.property('code', 'invalid-padding');
+      expect(
+        () => library.decrypt(encryptRFC8291Record(new Buffer(10).fill(0)), RFC8291_DECRYPT_OPTIONS)
+      ).to.throw(Error).with.property('code', 'invalid-padding');
+    });
+  });
+
+  describe('Test generateRequestDetails() method', function() {
+    it('should throw an error when the subscription has no endpoint', function() {
+      const library = require('../src/index.js');
+      expect(
+        () => library.generateRequestDetails('Hello, World!', {keys: VALID_SUBSCRIPTION.keys})
+      ).to.throw('generateRequestDetails() expects a subscription endpoint with an endpoint parameter.');
+    });
+
+    it('should return the details of a web push protocol request', function() {
+      const library = require('../src/index.js');
+      const clientECDH = require('crypto').createECDH('prime256v1');
+      const subscription = {
+        endpoint: VALID_SUBSCRIPTION.endpoint,
+        keys: {
+          p256dh: clientECDH.generateKeys('base64'),
+          auth: VALID_SUBSCRIPTION.keys.auth
+        }
+      };
+
+      const details = library.generateRequestDetails('Hello, World!', subscription, {
+        ttl: 60,
+        urgency: 'low'
+      });
+      details.method.should.equal('POST');
+      details.endpoint.should.equal(VALID_SUBSCRIPTION.endpoint);
+      details.headers.should.deep.equal({
+        'TTL': '60',
+        'Urgency': 'low',
+        'Content-Encoding': 'aes128gcm'
+      });
+      library.decrypt(details.body, {
+        privateKey: clientECDH.getPrivateKey(),
+        authSecret: subscription.keys.auth
+      }).toString('utf8').should.equal('Hello, World!');
+    });
+
+    it('should not encrypt an empty message', function() {
+      const library = require('../src/index.js');
+      const details = library.generateRequestDetails(null, {
+        endpoint: VALID_SUBSCRIPTION.endpoint
+      });
+      expect(details.body).to.equal(undefined);
+      details.headers.should.deep.equal({TTL: '2419200'});
+    });
+
+    it('should rewrite GCM endpoints and add the API key', function() {
+      const API_KEY = 'AIza not a real key but must be 40 chars';
+      const library = require('../src/index.js');
+      const client = new library.WebPushClient({gcmAPIKey: API_KEY});
+      const details = client.generateRequestDetails('Hello, World!', {
+        endpoint: GCM_SUBSCRIPTION_EXAMPLE.original,
+        keys: VALID_SUBSCRIPTION.keys
+      }, {encoding: 'aesgcm'});
+      details.endpoint.should.equal(GCM_SUBSCRIPTION_EXAMPLE.webpush);
+      details.headers.Authorization.should.equal('key=' + API_KEY);
+      details.headers.Encryption.should.have.length(27);
+      details.headers['Crypto-Key'].should.have.length(90);
     });
   });
 
@@ -282,31 +843,20 @@ describe('Test the Libraries Top Level API', function() {
     });
 
     it('should attempt a web push protocol request', function() {
-      const requestReplacement = {
-        post: (endpoint, data, cb) => {
-          endpoint.should.equal(VALID_SUBSCRIPTION.endpoint);
-
-          Buffer.isBuffer(data.body).should.equal(true);
-          data.headers.Encryption.should.have.length(27);
-          data.headers['Crypto-Key'].should.have.length(90);
-
-          cb(
-            null,
-            {
-              statusCode: 200,
-              statusMessage: 'Status message'
-            },
-            'Response body'
-          );
-        }
+      const transport = details => {
+        details.endpoint.should.equal(VALID_SUBSCRIPTION.endpoint);
+
+        Buffer.isBuffer(details.body).should.equal(true);
+        details.headers['Content-Encoding'].should.equal('aes128gcm');
+
+        return Promise.resolve({
+          statusCode: 200,
+          statusMessage: 'Status message',
+          body: 'Response body'
+        });
       };
-      const pushProxy = proxyquire('../src/push.js', {
-        'request': requestReplacement
-      });
-      const library = proxyquire('../src/index.js', {
-        './push': pushProxy
-      });
-      return library.sendWebPush(new Buffer('Hello, World!', 'utf8'), VALID_SUBSCRIPTION)
+      const library = require('../src/index.js');
+      return library.sendWebPush(new Buffer('Hello, World!', 'utf8'), VALID_SUBSCRIPTION, {transport: transport})
       .then(response => {
         response.statusCode.should.equal(200);
         response.statusMessage.should.equal('Status message');
@@ -314,40 +864,126 @@ describe('Test the Libraries Top Level API', function() {
       });
     });
 
+    it('should attempt a web push protocol request with aesgcm', function() {
+      const transport = details => {
+        details.endpoint.should.equal(VALID_SUBSCRIPTION.endpoint);
+
+        Buffer.isBuffer(details.body).should.equal(true);
+        details.headers['Content-Encoding'].should.equal('aesgcm');
+        details.headers.Encryption.should.have.length(27);
+        details.headers['Crypto-Key'].should.have.length(90);
+
+        return Promise.resolve({
+          statusCode: 201,
+          statusMessage: 'Created',
+          body: ''
+        });
+      };
+      const library = require('../src/index.js');
+      return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {encoding: 'aesgcm', transport: transport})
+      .then(response => {
+        response.statusCode.should.equal(201);
+      });
+    });
+
+    it('should send the Encryption-Key header with aesgcm128', function() {
+      const library = require('../src/index.js');
+      const details = library.generateRequestDetails('Hello, World!', VALID_SUBSCRIPTION, {
+        encoding: 'aesgcm128'
+      });
+
+      details.headers['Content-Encoding'].should.equal('aesgcm128');
+      details.headers.Encryption.should.match(/^salt=[\w-]{22}$/);
+      details.headers['Encryption-Key'].should.match(/^dh=[\w-]{87}$/);
+      expect(details.headers['Crypto-Key']).to.equal(undefined);
+      details.body.length.should.equal(13 + 1 + 16);
+    });
+
+    it('should send the TTL, Urgency and Topic headers', function() {
+      const transport = details => {
+        details.headers.TTL.should.equal('3600');
+        details.headers.Urgency.should.equal('high');
+        details.headers.Topic.should.equal('new-mail_1');
+
+        return Promise.resolve({
+          statusCode: 201,
+          statusMessage: 'Created',
+          headers: {ttl: '60'},
+          body: ''
+        });
+      };
+      const library = require('../src/index.js');
+      return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {
+        ttl: 3600,
+        urgency: 'high',
+        topic: 'new-mail_1',
+        transport: transport
+      })
+      .then(response => {
+        response.ttl.should.equal(60);
+      });
+    });
+
+    it('should default the TTL to four weeks', function() {
+      const transport = details => {
+        details.headers.TTL.should.equal('2419200');
+        expect(details.headers.Urgency).to.equal(undefined);
+        expect(details.headers.Topic).to.equal(undefined);
+
+        return Promise.resolve({statusCode: 201, statusMessage: 'Created', body: ''});
+      };
+      const library = require('../src/index.js');
+      return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {transport: transport})
+      .then(response => {
+        expect(response.ttl).to.equal(undefined);
+      });
+    });
+
+    it('should throw an error for an invalid TTL, urgency or topic', function() {
+      const library = require('../src/index.js');
+
+      [-1, 1.5, '60'].forEach(ttl => {
+        expect(
+          () => library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {ttl: ttl})
+        ).to.throw('The TTL must be a whole number of seconds.');
+      });
+
+      expect(
+        () => library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {urgency: 'urgent'})
+      ).to.throw('Unsupported urgency \'urgent\'. Expected one of very-low, low, normal, high.');
+
+      ['', 'has spaces', 'abcdefghijklmnopqrstuvwxyz0123456', 'a+b/c='].forEach(topic => {
+        expect(
+          () => library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {topic: topic})
+        ).to.throw('The topic must be no more than 32 characters from the URL safe base64 alphabet.');
+      });
+    });
+
     it('should attempt a web push protocol request for GCM', function() {
       const API_KEY = 'AIza not a real key but must be 40 chars';
       const gcmSubscription = {
         endpoint: GCM_SUBSCRIPTION_EXAMPLE.original,
         keys: VALID_SUBSCRIPTION.keys
       };
-      const requestReplacement = {
-        post: (endpoint, data, cb) => {
-          endpoint.should.equal(GCM_SUBSCRIPTION_EXAMPLE.webpush);
-
-          Buffer.isBuffer(data.body).should.equal(true);
-          data.headers.Encryption.should.have.length(27);
-          data.headers['Crypto-Key'].should.have.length(90);
-          data.headers.Authorization.should.equal('key=' + API_KEY);
-
-          cb(
-            null,
-            {
-              statusCode: 200,
-              statusMessage: 'Status message'
-            },
-            'Response body'
-          );
-        }
+      const transport = details => {
+        details.endpoint.should.equal(GCM_SUBSCRIPTION_EXAMPLE.webpush);
+
+        Buffer.isBuffer(details.body).should.equal(true);
+        details.headers['Content-Encoding'].should.equal('aes128gcm');
+        details.headers.Authorization.should.equal('key=' + API_KEY);
+
+        return Promise.resolve({
+          statusCode: 200,
+          statusMessage: 'Status message',
+          body: 'Response body'
+        });
       };
 
-      const pushProxy = proxyquire('../src/push.js', {
-        'request': requestReplacement
-      });
-      const library = proxyquire('../src/index.js', {
-        './push': pushProxy
-      });
+      // Load a fresh copy of the library so the API key doesn't leak into other
+      // tests
+      const library = proxyquire('../src/index.js', {});
       library.setGCMAPIKey(API_KEY);
-      return library.sendWebPush('Hello, World!', gcmSubscription)
+      return library.sendWebPush('Hello, World!', gcmSubscription, {transport: transport})
       .then(response => {
         response.statusCode.should.equal(200);
         response.statusMessage.should.equal('Status message');
@@ -367,27 +1003,19 @@ describe('Test the Libraries Top Level API', function() {
       ).to.throw('GCM requires an Auth Token parameter');
     });
 
-    it('should handle errors from request', function() {
+    it('should handle errors from the transport', function() {
       const EXAMPLE_ERROR = 'Example Error';
 
-      const requestReplacement = {
-        post: (endpoint, data, cb) => {
-          endpoint.should.equal(VALID_SUBSCRIPTION.endpoint);
+      const transport = details => {
+        details.endpoint.should.equal(VALID_SUBSCRIPTION.endpoint);
 
-          Buffer.isBuffer(data.body).should.equal(true);
-          data.headers.Encryption.should.have.length(27);
-          data.headers['Crypto-Key'].should.have.length(90);
+        Buffer.isBuffer(details.body).should.equal(true);
+        details.headers['Content-Encoding'].should.equal('aes128gcm');
 
-          cb(EXAMPLE_ERROR);
-        }
+        return Promise.reject(EXAMPLE_ERROR);
       };
-      const pushProxy = proxyquire('../src/push.js', {
-        'request': requestReplacement
-      });
-      const library = proxyquire('../src/index.js', {
-        './push': pushProxy
-      });
-      return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION)
+      const library = require('../src/index.js');
+      return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {transport: transport})
       .then(() => {
         throw new Error('The promise was expected to reject.');
       })
@@ -397,31 +1025,20 @@ describe('Test the Libraries Top Level API', function() {
     });
 
     it('should reject when the subscription is no longer valid (via 404 status code)', function(done) {
-      const requestReplacement = {
-        post: (endpoint, data, cb) => {
-          endpoint.should.equal(INVALID_SUBSCRIPTION.endpoint);
-
-          Buffer.isBuffer(data.body).should.equal(true);
-          data.headers.Encryption.should.have.length(27);
-          data.headers['Crypto-Key'].should.have.length(90);
-
-          cb(
-            null,
-            {
-              statusCode: 404,
-              statusMessage: 'Not Found'
-            },
-            ''
-          );
-        }
+      const transport = details => {
+        details.endpoint.should.equal(INVALID_SUBSCRIPTION.endpoint);
+
+        Buffer.isBuffer(details.body).should.equal(true);
+        details.headers['Content-Encoding'].should.equal('aes128gcm');
+
+        return Promise.resolve({
+          statusCode: 404,
+          statusMessage: 'Not Found',
+          body: ''
+        });
       };
-      const pushProxy = proxyquire('../src/push.js', {
-        'request': requestReplacement
-      });
-      const library = proxyquire('../src/index.js', {
-        './push': pushProxy
-      });
-      return library.sendWebPush('Hello, World!', INVALID_SUBSCRIPTION)
+      const library = require('../src/index.js');
+      return library.sendWebPush('Hello, World!', INVALID_SUBSCRIPTION, {transport: transport})
       .then(() => {
         done(new Error('This should have rejected'));
       })
@@ -432,31 +1049,20 @@ describe('Test the Libraries Top Level API', function() {
     });
 
     it('should reject when the subscription is no longer valid (via 410 status code)', function(done) {
-      const requestReplacement = {
-        post: (endpoint, data, cb) => {
-          endpoint.should.equal(INVALID_SUBSCRIPTION.endpoint);
-
-          Buffer.isBuffer(data.body).should.equal(true);
-          data.headers.Encryption.should.have.length(27);
-          data.headers['Crypto-Key'].should.have.length(90);
-
-          cb(
-            null,
-            {
-              statusCode: 410,
-              statusMessage: 'Gone'
-            },
-            ''
-          );
-        }
+      const transport = details => {
+        details.endpoint.should.equal(INVALID_SUBSCRIPTION.endpoint);
+
+        Buffer.isBuffer(details.body).should.equal(true);
+        details.headers['Content-Encoding'].should.equal('aes128gcm');
+
+        return Promise.resolve({
+          statusCode: 410,
+          statusMessage: 'Gone',
+          body: ''
+        });
       };
-      const pushProxy = proxyquire('../src/push.js', {
-        'request': requestReplacement
-      });
-      const library = proxyquire('../src/index.js', {
-        './push': pushProxy
-      });
-      return library.sendWebPush('Hello, World!', INVALID_SUBSCRIPTION)
+      const library = require('../src/index.js');
+      return library.sendWebPush('Hello, World!', INVALID_SUBSCRIPTION, {transport: transport})
       .then(() => {
         done(new Error('This should have rejected'));
       })
@@ -466,6 +1072,240 @@ describe('Test the Libraries Top Level API', function() {
       });
     });
 
+    it('should reject with a typed error for each kind of failure', function() {
+      const library = require('../src/index.js');
+      const cases = [
+        {statusCode: 400, ErrorClass: library.InvalidRequestError, code: 'invalid-request'},
+        {statusCode: 401, ErrorClass: library.AuthenticationError, code: 'authentication-failed'},
+        {statusCode: 403, ErrorClass: library.AuthenticationError, code: 'authentication-failed'},
+        {statusCode: 404, ErrorClass: library.SubscriptionGoneError, code: 'expired-subscription'},
+        {statusCode: 410, ErrorClass: library.SubscriptionGoneError, code: 'expired-subscription'},
+        {statusCode: 413, ErrorClass: library.PayloadTooLargeError, code: 'payload-too-large'},
+        {statusCode: 429, ErrorClass: library.RateLimitedError, code: 'rate-limited'},
+        {statusCode: 500, ErrorClass: library.PushServiceError, code: 'push-service-error'},
+        {statusCode: 503, ErrorClass: library.PushServiceError, code: 'push-service-error'}
+      ];
+
+      return Promise.all(cases.map(testCase => {
+        const transport = () => Promise.resolve({
+          statusCode: testCase.statusCode,
+          statusMessage: 'Status message',
+          headers: {'x-example': 'value'},
+          body: 'Response body'
+        });
+        return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {transport: transport})
+        .then(() => {
+          throw new Error('The promise was expected to reject.');
+        }, err => {
+          err.should.be.an.instanceof(testCase.ErrorClass);
+          err.should.be.an.instanceof(library.PushResponseError);
+          err.should.be.an.instanceof(library.WebPushError);
+          err.should.be.an.instanceof(Error);
+          err.name.should.equal(testCase.ErrorClass.name);
+          err.code.should.equal(testCase.code);
+          err.message.should.equal(`The push service responded with ${testCase.statusCode} Status message.`);
+          err.statusCode.should.equal(testCase.statusCode);
+          err.headers.should.deep.equal({'x-example': 'value'});
+          err.body.should.equal('Response body');
+          err.endpoint.should.equal(VALID_SUBSCRIPTION.endpoint);
+          expect(err.retryAfter).to.equal(undefined);
+        });
+      }));
+    });
+
+    it('should read the Retry-After header when rate limited', function() {
+      const library = require('../src/index.js');
+      const retryDate = new Date(Date.now() + 120000).toUTCString();
+      const send = retryAfter => library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {
+        transport: () => Promise.resolve({
+          statusCode: 429,
+          headers: {'retry-after': retryAfter}
+        })
+      })
+      .then(() => {
+        throw new Error('The promise was expected to reject.');
+      }, err => err);
+
+      return Promise.all([send('30'), send(retryDate), send('soon')])
+      .then(results => {
+        results[0].retryAfter.should.equal(30);
+        results[1].retryAfter.should.be.within(118, 120);
+        expect(results[2].retryAfter).to.equal(undefined);
+        results[2].message.should.equal('The push service responded with 429.');
+      });
+    });
+
+    describe('Retrying failed requests', function() {
+      // Responds with each of the given responses in turn, recording the
+      // requests and when they were made.
+      const scriptedTransport = responses => {
+        const transport = details => {
+          transport.requests.push({details: details, time: Date.now()});
+          const response = responses.shift();
+          return response instanceof Error ? Promise.reject(response) : Promise.resolve(response);
+        };
+        transport.requests = [];
+        return transport;
+      };
+
+      it('should not retry unless asked to', function() {
+        const library = require('../src/index.js');
+        const transport = scriptedTransport([{statusCode: 503}, {statusCode: 201}]);
+        return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {transport: transport})
+        .then(() => {
+          throw new Error('The promise was expected to reject.');
+        }, err => {
+          err.should.be.an.instanceof(library.PushServiceError);
+          err.attempts.should.equal(1);
+          transport.requests.should.have.length(1);
+        });
+      });
+
+      it('should retry transient failures with a freshly encrypted message', function() {
+        const library = require('../src/index.js');
+        const transport = scriptedTransport([
+          {statusCode: 503},
+          new Error('socket hang up'),
+          {statusCode: 429},
+          {statusCode: 201, statusMessage: 'Created'}
+        ]);
+        return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {
+          transport: transport,
+          retry: {maxAttempts: 4, baseDelay: 1}
+        })
+        .then(response => {
+          response.statusCode.should.equal(201);
+          response.attempts.should.equal(4);
+
+          const bodies = transport.requests.map(request => request.details.body.toString('base64'));
+          bodies.filter((body, i) => bodies.indexOf(body) === i).should.have.length(4);
+          transport.requests.forEach(request => {
+            request.details.body.slice(0, 16).equals(transport.requests[0].details.body.slice(0, 16))
+              .should.equal(request === transport.requests[0]);
+          });
+        });
+      });
+
+      it('should give up after the maximum number of attempts', function() {
+        const library = require('../src/index.js');
+        const transport = scriptedTransport([{statusCode: 500}, {statusCode: 502}, {statusCode: 504}]);
+        return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {
+          transport: transport,
+          retry: {maxAttempts: 3, baseDelay: 1}
+        })
+        .then(() => {
+          throw new Error('The promise was expected to reject.');
+        }, err => {
+          err.statusCode.should.equal(504);
+          err.attempts.should.equal(3);
+          transport.requests.should.have.length(3);
+        });
+      });
+
+      it('should not retry permanent failures', function() {
+        const library = require('../src/index.js');
+        const transport = scriptedTransport([{statusCode: 410}, {statusCode: 201}]);
+        return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {
+          transport: transport,
+          retry: true
+        })
+        .then(() => {
+          throw new Error('The promise was expected to reject.');
+        }, err => {
+          err.should.be.an.instanceof(library.SubscriptionGoneError);
+          err.attempts.should.equal(1);
+        });
+      });
+
+      it('should wait for the Retry-After header', function() {
+        const library = require('../src/index.js');
+        // Start on a whole second, as HTTP dates only have second precision
+        const clock = sinon.useFakeTimers(Math.ceil(Date.now() / 1000) * 1000,
+          'setTimeout', 'clearTimeout', 'Date');
+        // The second attempt is made a second in, so this is 2 seconds after it
+        const retryDate = new Date(Date.now() + 3000).toUTCString();
+        const transport = scriptedTransport([
+          {statusCode: 429, headers: {'retry-after': '1'}},
+          {statusCode: 503, headers: {'retry-after': retryDate}},
+          {statusCode: 201}
+        ]);
+        // Lets the pending promises run, so the next retry is scheduled
+        const settle = () => new Promise(resolve => setImmediate(resolve));
+        const expectRequestsAfter = (ms, count) => {
+          clock.tick(ms);
+          return settle().then(() => transport.requests.should.have.length(count));
+        };
+
+        const sent = library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {
+          transport: transport,
+          retry: {baseDelay: 1}
+        });
+        return expectRequestsAfter(0, 1)
+        .then(() => expectRequestsAfter(999, 1))
+        .then(() => expectRequestsAfter(1, 2))
+        .then(() => expectRequestsAfter(1999, 2))
+        .then(() => expectRequestsAfter(1, 3))
+        .then(() => sent)
+        .then(response => {
+          clock.restore();
+          response.attempts.should.equal(3);
+        }, err => {
+          clock.restore();
+          throw err;
+        });
+      });
+
+      it('should give up when Retry-After is longer than the maximum delay', function() {
+        const library = require('../src/index.js');
+        const transport = scriptedTransport([{statusCode: 429, headers: {'retry-after': '3600'}}]);
+        return library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {
+          transport: transport,
+          retry: {maxDelay: 1000}
+        })
+        .then(() => {
+          throw new Error('The promise was expected to reject.');
+        }, err => {
+          err.retryAfter.should.equal(3600);
+          err.attempts.should.equal(1);
+        });
+      });
+
+      it('should throw an error for an invalid retry policy', function() {
+        const library = require('../src/index.js');
+        expect(
+          () => library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {retry: {maxAttempts: 0}})
+        ).to.throw('retry.maxAttempts must be at least 1.');
+        expect(
+          () => library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {retry: {jitter: 2}})
+        ).to.throw('retry.jitter must be between 0 and 1.');
+      });
+    });
+
+    it('should throw validation errors with codes', function() {
+      const library = require('../src/index.js');
+      const codeFor = fn => {
+        try {
+          fn();
+        } catch (err) {
+          err.should.be.an.instanceof(library.ValidationError);
+          return err.code;
+        }
+        throw new Error('Expected an error to be thrown.');
+      };
+
+      codeFor(() => library.encrypt({}, VALID_SUBSCRIPTION)).should.equal('invalid-message');
+      codeFor(() => library.encrypt(new Buffer(4000), VALID_SUBSCRIPTION)).should.equal('payload-too-large');
+      codeFor(() => library.encrypt('Hello', SUBSCRIPTION_NO_KEYS)).should.equal('missing-keys');
+      codeFor(() => library.encrypt('Hello', INVALID_AUTH_SUBSCRIPTION)).should.equal('invalid-auth-secret');
+      codeFor(() => library.encrypt('Hello', INVALID_P256DH_SUBSCRIPTION)).should.equal('invalid-p256dh');
+      codeFor(() => library.encrypt('Hello', VALID_SUBSCRIPTION, {encoding: 'rot13'})).should.equal('unsupported-encoding');
+      codeFor(() => library.sendWebPush('Hello')).should.equal('missing-endpoint');
+      codeFor(() => library.sendWebPush('Hello', VALID_SUBSCRIPTION, {ttl: -1})).should.equal('invalid-ttl');
+      codeFor(() => library.sendWebPush('Hello', VALID_SUBSCRIPTION, {urgency: 'now'})).should.equal('invalid-urgency');
+      codeFor(() => library.sendWebPush('Hello', VALID_SUBSCRIPTION, {topic: '!'})).should.equal('invalid-topic');
+      codeFor(() => library.setGCMAPIKey('invalid')).should.equal('invalid-gcm-api-key');
+    });
+
     it('should throw on invalid API key', function() {
       const library = require('../src/index.js');
 
@@ -476,4 +1316,105 @@ describe('Test the Libraries Top Level API', function() {
       ).to.throw('expected Server API Key in the form AIza..., 40 characters long');
     });
   });
+
+  describe('Test cancelWebPush() method', function() {
+    const LOCATION = 'https://example-endpoint.com/message/5678';
+
+    it('should return the location of the message from sendWebPush()', function() {
+      const library = require('../src/index.js');
+      const send = location => library.sendWebPush('Hello, World!', VALID_SUBSCRIPTION, {
+        transport: () => Promise.resolve({
+          statusCode: 201,
+          headers: location ? {location: location} : {}
+        })
+      });
+
+      return Promise.all([send(LOCATION), send('/message/5678'), send()])
+      .then(results => {
+        results[0].location.should.equal(LOCATION);
+        results[1].location.should.equal(LOCATION);
+        expect(results[2].location).to.equal(undefined);
+      });
+    });
+
+    it('should delete the message with the same credentials', function() {
+      const library = require('../src/index.js');
+      const vapidDetails = Object.assign({
+        subject: 'mailto:push@example.com'
+      }, library.generateVAPIDKeys());
+      let request;
+
+      return library.cancelWebPush(LOCATION, {
+        vapidDetails: vapidDetails,
+        transport: details => {
+          request = details;
+          return Promise.resolve({statusCode: 204, statusMessage: 'No Content'});
+        }
+      })
+      .then(result => {
+        result.should.deep.equal({
+          statusCode: 204,
+          statusMessage: 'No Content',
+          cancelled: true
+        });
+        request.method.should.equal('DELETE');
+        request.endpoint.should.equal(LOCATION);
+        request.headers.Authorization.should.match(/^vapid t=.*, k=/);
+        expect(request.body).to.equal(undefined);
+      });
+    });
+
+    it('should send the GCM API key to GCM', function() {
+      const library = require('../src/index.js');
+      const client = new library.WebPushClient({
+        gcmAPIKey: 'AIza the key to cancel with, 40 chars...'
+      });
+      let request;
+
+      return client.cancel('https://fcm.googleapis.com/fcm/message/1', {
+        transport: details => {
+          request = details;
+          return Promise.resolve({statusCode: 204});
+        }
+      })
+      .then(() => {
+        request.headers.Authorization.should.equal(`key=${client.gcmAPIKey}`);
+      });
+    });
+
+    it('should resolve when the message has already gone', function() {
+      const library = require('../src/index.js');
+      return Promise.all([404, 410].map(statusCode => {
+        return library.cancelWebPush(LOCATION, {
+          transport: () => Promise.resolve({statusCode: statusCode})
+        });
+      }))
+      .then(results => {
+        results.map(result => result.cancelled).should.deep.equal([false, false]);
+      });
+    });
+
+    it('should reject with a typed error when the push service fails', function() {
+      const library = require('../src/index.js');
+      return library.cancelWebPush(LOCATION, {
+        transport: () => Promise.resolve({statusCode: 403})
+      })
+      .then(() => {
+        throw new Error('The promise was expected to reject.');
+      }, err => {
+        err.should.be.an.instanceof(library.AuthenticationError);
+        err.endpoint.should.equal(LOCATION);
+      });
+    });
+
+    it('should throw an error for an invalid location', function() {
+      const library = require('../src/index.js');
+      ['/message/5678', 'ftp://example.com/1', undefined].forEach(location => {
+        expect(() => library.cancelWebPush(location))
+          .to.throw('cancelWebPush() expects the URL of a message, from the location in the result of sendWebPush().');
+      });
+      expect(() => library.cancelWebPush('https://web.push.apple.com/message/1'))
+        .to.throw('The apple push service requires VAPID. Pass options.vapidDetails.');
+    });
+  });
 });
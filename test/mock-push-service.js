@@ -0,0 +1,323 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const expect = require('chai').expect;
+
+const library = require('../src/index.js');
+const testing = require('../testing.js');
+
+const VAPID_DETAILS = Object.assign({
+  subject: 'mailto:push@example.com'
+}, library.generateVAPIDKeys());
+
+const GCM_API_KEY = 'AIza a key for the mock service, 40 chars';
+
+// Sends a message and resolves with the error the push service rejected it
+// with.
+const expectRejection = (subscription, options) => {
+  return library.sendWebPush('Hello, World!', subscription, options)
+  .then(() => {
+    throw new Error('The promise was expected to reject.');
+  }, err => err);
+};
+
+describe('Test MockPushService', function() {
+  let service;
+  // Services started by a test, which are stopped even if it fails
+  let extraServices;
+
+  before(() => {
+    service = new testing.MockPushService({
+      vapidPublicKey: VAPID_DETAILS.publicKey
+    });
+    return service.start();
+  });
+
+  after(() => {
+    library.unregisterPushService('mock-gcm');
+    return service.stop();
+  });
+
+  beforeEach(() => {
+    extraServices = [];
+    service.reset();
+  });
+
+  it('should only be exported from the testing entry point', () => {
+    expect(library.MockPushService).to.equal(undefined);
+    testing.MockPushService.should.be.a('function');
+  });
+
+  afterEach(() => Promise.all(extraServices.map(extra => extra.stop())));
+
+  it('should decrypt aes128gcm messages sent with VAPID', function() {
+    const subscription = service.createSubscription();
+    return library.sendWebPush('Hello, World!', subscription, {
+      vapidDetails: VAPID_DETAILS,
+      ttl: 60,
+      urgency: 'high',
+      topic: 'greeting'
+    })
+    .then(result => {
+      result.statusCode.should.equal(201);
+      result.ttl.should.equal(60);
+
+      service.messages.should.have.length(1);
+      const message = service.messages[0];
+      message.endpoint.should.equal(subscription.endpoint);
+      message.payload.toString('utf8').should.equal('Hello, World!');
+      message.encoding.should.equal('aes128gcm');
+      message.ttl.should.equal(60);
+      message.urgency.should.equal('high');
+      message.topic.should.equal('greeting');
+      message.auth.type.should.equal('vapid');
+      message.auth.subject.should.equal(VAPID_DETAILS.subject);
+      message.auth.publicKey.should.equal(VAPID_DETAILS.publicKey);
+    });
+  });
+
+  it('should decrypt aesgcm messages sent with VAPID', function() {
+    return library.sendWebPush('Hello, World!', service.createSubscription(), {
+      vapidDetails: VAPID_DETAILS,
+      encoding: 'aesgcm'
+    })
+    .then(() => {
+      service.messages[0].payload.toString('utf8').should.equal('Hello, World!');
+      service.messages[0].encoding.should.equal('aesgcm');
+      service.messages[0].auth.type.should.equal('vapid');
+    });
+  });
+
+  it('should decrypt aesgcm128 messages', function() {
+    return library.sendWebPush('Hello, World!', service.createSubscription(), {
+      vapidDetails: VAPID_DETAILS,
+      encoding: 'aesgcm128'
+    })
+    .then(() => {
+      service.messages[0].payload.toString('utf8').should.equal('Hello, World!');
+      service.messages[0].encoding.should.equal('aesgcm128');
+    });
+  });
+
+  it('should accept messages without a payload', function() {
+    return library.sendWebPush(null, service.createSubscription(), {
+      vapidDetails: VAPID_DETAILS
+    })
+    .then(() => {
+      expect(service.messages[0].payload).to.equal(null);
+      service.messages[0].body.length.should.equal(0);
+    });
+  });
+
+  it('should check the GCM API key', function() {
+    // A separate push service, as GCM keys are only sent to push services
+    // registered with the 'gcm' auth scheme.
+    const gcmService = new testing.MockPushService({gcmAPIKey: GCM_API_KEY});
+    extraServices.push(gcmService);
+    let subscription;
+
+    return gcmService.start()
+    .then(() => {
+      library.registerPushService({
+        name: 'mock-gcm',
+        origins: [gcmService.origin],
+        auth: 'gcm'
+      });
+      subscription = gcmService.createSubscription();
+      return library.sendWebPush('Hello, World!', subscription, {
+        gcmAPIKey: GCM_API_KEY
+      });
+    })
+    .then(() => {
+      gcmService.messages[0].auth.should.deep.equal({
+        type: 'gcm',
+        key: GCM_API_KEY
+      });
+      return expectRejection(subscription, {
+        gcmAPIKey: 'AIza a different key, which is 40 chars.'
+      });
+    })
+    .then(err => {
+      err.should.be.an.instanceof(library.AuthenticationError);
+      err.statusCode.should.equal(401);
+    });
+  });
+
+  it('should reject messages without valid VAPID credentials', function() {
+    const subscription = service.createSubscription();
+    const otherKeys = Object.assign({
+      subject: 'mailto:push@example.com'
+    }, library.generateVAPIDKeys());
+
+    return Promise.all([
+      expectRejection(subscription, {}),
+      expectRejection(subscription, {vapidDetails: otherKeys}),
+      expectRejection(subscription, {
+        transport: details => {
+          // Swap in a token that was signed by a different key
+          const token = library.getVapidHeaders(service.origin, otherKeys)
+            .Authorization.split(',')[0];
+          details.headers.Authorization = `${token}, k=${VAPID_DETAILS.publicKey}`;
+          return library.httpsTransport(details);
+        }
+      })
+    ])
+    .then(errors => {
+      errors.map(err => err.statusCode).should.deep.equal([401, 403, 401]);
+      errors[2].body.should.contain('signature is invalid');
+      service.messages.should.have.length(0);
+    });
+  });
+
+  it('should respond 404 and 410 for unknown and expired subscriptions', function() {
+    const subscription = service.createSubscription();
+    service.expireSubscription(subscription);
+
+    return Promise.all([
+      expectRejection(subscription, {vapidDetails: VAPID_DETAILS}),
+      expectRejection({
+        endpoint: `${service.origin}/push/unknown`,
+        keys: subscription.keys
+      }, {vapidDetails: VAPID_DETAILS})
+    ])
+    .then(errors => {
+      errors[0].statusCode.should.equal(410);
+      errors[1].statusCode.should.equal(404);
+      errors.forEach(err => {
+        err.should.be.an.instanceof(library.SubscriptionGoneError);
+      });
+    });
+  });
+
+  it('should reject payloads that are too large', function() {
+    const smallService = new testing.MockPushService({maxPayloadSize: 100});
+    return smallService.start()
+    .then(() => expectRejection(smallService.createSubscription(), {
+      padding: {strategy: 'fixed', size: 200}
+    }))
+    .then(err => {
+      err.should.be.an.instanceof(library.PayloadTooLargeError);
+      err.statusCode.should.equal(413);
+      return smallService.stop();
+    });
+  });
+
+  it('should give scripted responses in order', function() {
+    const subscription = service.createSubscription();
+    service.respondWith({statusCode: 429, headers: {'Retry-After': '10'}});
+    service.respondWith({statusCode: 500});
+
+    return expectRejection(subscription, {vapidDetails: VAPID_DETAILS})
+    .then(err => {
+      err.should.be.an.instanceof(library.RateLimitedError);
+      err.retryAfter.should.equal(10);
+      return expectRejection(subscription, {vapidDetails: VAPID_DETAILS});
+    })
+    .then(err => {
+      err.should.be.an.instanceof(library.PushServiceError);
+      return library.sendWebPush('Hello, World!', subscription, {
+        vapidDetails: VAPID_DETAILS
+      });
+    })
+    .then(result => {
+      result.statusCode.should.equal(201);
+      service.messages.should.have.length(1);
+    });
+  });
+
+  it('should respond slowly when asked to', function() {
+    const subscription = service.createSubscription();
+    service.respondWith({delay: 200});
+
+    return expectRejection(subscription, {
+      vapidDetails: VAPID_DETAILS,
+      timeout: 50
+    })
+    .then(err => {
+      err.code.should.equal('ETIMEDOUT');
+      // The slow request is still handled once the delay is over
+      return new Promise(resolve => setTimeout(resolve, 250));
+    })
+    .then(() => service.messages.should.have.length(1));
+  });
+
+  it('should retry against the scripted responses', function() {
+    const subscription = service.createSubscription();
+    service.respondWith({statusCode: 503});
+
+    return library.sendWebPush('Hello, World!', subscription, {
+      vapidDetails: VAPID_DETAILS,
+      retry: {maxAttempts: 2, baseDelay: 10}
+    })
+    .then(result => {
+      result.attempts.should.equal(2);
+      service.messages[0].payload.toString('utf8').should.equal('Hello, World!');
+    });
+  });
+
+  it('should cancel messages at their location', function() {
+    return library.sendWebPush('Hello, World!', service.createSubscription(), {
+      vapidDetails: VAPID_DETAILS
+    })
+    .then(result => {
+      result.location.should.equal(service.messages[0].location);
+      return Promise.all([
+        library.cancelWebPush(result.location, {vapidDetails: VAPID_DETAILS}),
+        library.cancelWebPush(`${service.origin}/message/unknown`, {
+          vapidDetails: VAPID_DETAILS
+        })
+      ]);
+    })
+    .then(results => {
+      results[0].cancelled.should.equal(true);
+      results[1].cancelled.should.equal(false);
+      service.messages[0].cancelled.should.equal(true);
+    });
+  });
+
+  it('should work with subscription stores', function() {
+    const subscription = service.createSubscription();
+    expect(() => library.parseSubscription(subscription))
+      .to.throw(library.InvalidSubscriptionError);
+    library.parseSubscription(subscription, {allowHttpLoopback: true})
+      .endpoint.should.equal(subscription.endpoint);
+
+    const store = new library.MemorySubscriptionStore({
+      allowHttpLoopback: true
+    });
+    return store.add(subscription, {user: 'alice'})
+    .then(() => library.sendToUser(store, 'alice', 'Hello, World!', {
+      vapidDetails: VAPID_DETAILS
+    }))
+    .then(report => {
+      report.succeeded.should.equal(1);
+      service.messages[0].payload.toString().should.equal('Hello, World!');
+    });
+  });
+
+  it('should throw an error when used incorrectly', function() {
+    const stopped = new testing.MockPushService();
+    expect(() => stopped.createSubscription())
+      .to.throw('Call start() before creating subscriptions.');
+    expect(() => service.expireSubscription('https://push.example.com/1'))
+      .to.throw('https://push.example.com/1 is not a subscription of this push service.');
+    expect(() => service.respondWith(429))
+      .to.throw('respondWith() expects a response object.');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const expect = require('chai').expect;
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const path = require('path');
+
+const SUBSCRIPTION = {
+  endpoint: 'https://push.example.com/abc',
+  keys: {
+    auth: '8eDyX_uCN0XRhSbY5hs7Hg==',
+    p256dh: 'BCIWgsnyXDv1VkhqL2P7YRBvdeuDnlwAPT2guNhdIoW3IP7GmHh1SMKPLxRf7x8vJy6ZFK3ol2ohgn_-0yP7QQA='
+  }
+};
+
+const serverECDH = crypto.createECDH('prime256v1');
+serverECDH.generateKeys();
+const DETERMINISTIC = {
+  salt: crypto.randomBytes(16),
+  serverPrivateKey: serverECDH.getPrivateKey()
+};
+
+// Encrypts the same message with encrypt() and encryptAsync(), resolving with
+// both results.
+const encryptBoth = (encryptAsync, options) => {
+  const library = require('../src/index.js');
+  options = Object.assign({unsafeDeterministic: DETERMINISTIC}, options);
+  return encryptAsync('Hello, World!', SUBSCRIPTION, options)
+  .then(result => [library.encrypt('Hello, World!', SUBSCRIPTION, options),
+    result]);
+};
+
+describe('Test encryptAsync() and EncryptionPool', function() {
+  after(function() {
+    return require('../src/index.js').closeEncryptionPool();
+  });
+
+  it('should encrypt the same as encrypt()', function() {
+    const library = require('../src/index.js');
+    return Promise.all(['aes128gcm', 'aesgcm', 'aesgcm128'].map(encoding => {
+      return encryptBoth(library.encryptAsync, {
+        encoding: encoding,
+        paddingLength: 7
+      });
+    }))
+    .then(results => {
+      results.forEach(result => {
+        result[1].ciphertext.should.be.an.instanceof(Buffer);
+        result[1].ciphertext.equals(result[0].ciphertext).should.equal(true);
+        result[1].salt.equals(result[0].salt).should.equal(true);
+        result[1].serverPublicKey.equals(result[0].serverPublicKey)
+          .should.equal(true);
+      });
+    });
+  });
+
+  it('should reject with the errors encrypt() throws', function() {
+    const library = require('../src/index.js');
+    const badKeys = {
+      endpoint: SUBSCRIPTION.endpoint,
+      keys: {auth: SUBSCRIPTION.keys.auth, p256dh: 'abc'}
+    };
+    return Promise.all([
+      library.encryptAsync('Hello', badKeys).catch(err => err),
+      library.encryptAsync('Hello', SUBSCRIPTION, {encoding: 'aesgcm256'})
+        .catch(err => err)
+    ])
+    .then(errors => {
+      errors.forEach(err => err.should.be.an.instanceof(library.ValidationError));
+      errors.map(err => err.code).should.deep.equal(['invalid-p256dh',
+        'unsupported-encoding']);
+    });
+  });
+
+  it('should check its options', function() {
+    const library = require('../src/index.js');
+    [0, -1, 1.5, '2'].forEach(size => {
+      expect(() => new library.EncryptionPool({size: size}))
+        .to.throw(library.ValidationError, /pool size/);
+    });
+    expect(() => library.encryptAsync('Hello', SUBSCRIPTION,
+      {encryptionPool: 'yes'})).to.throw(library.ValidationError,
+      /encryptionPool must be/);
+  });
+
+  it('should finish queued messages when it is closed', function() {
+    const library = require('../src/index.js');
+    const pool = new library.EncryptionPool({size: 2});
+    const pending = [1, 2, 3, 4, 5].map(() => {
+      return library.encryptAsync('Hello', SUBSCRIPTION, {encryptionPool: pool});
+    });
+
+    return pool.close()
+    .then(() => Promise.all(pending))
+    .then(results => {
+      results.length.should.equal(5);
+      return pool.encrypt('Hello', SUBSCRIPTION)
+        .then(() => {
+          throw new Error('Expected the closed pool to reject');
+        }, err => {
+          err.should.be.an.instanceof(library.WebPushError);
+          err.code.should.equal('pool-closed');
+        });
+    });
+  });
+
+  it('should send messages encrypted on the pool', function() {
+    const library = require('../src/index.js');
+    const pool = new library.EncryptionPool({size: 1});
+    const requests = [];
+    const transport = details => {
+      requests.push(details);
+      return Promise.resolve({statusCode: requests.length === 1 ? 503 : 201});
+    };
+
+    return library.sendWebPush('Hello, World!', SUBSCRIPTION, {
+      encryptionPool: pool,
+      encoding: 'aesgcm',
+      transport: transport,
+      retry: {maxAttempts: 2, baseDelay: 1}
+    })
+    .then(result => {
+      result.attempts.should.equal(2);
+      requests[0].headers['Content-Encoding'].should.equal('aesgcm');
+      requests[0].headers.Encryption.should.match(/^salt=/);
+      requests[0].body.should.be.an.instanceof(Buffer);
+      // Each attempt is encrypted again
+      requests[1].headers.Encryption.should.not.equal(
+        requests[0].headers.Encryption);
+      return pool.close();
+    });
+  });
+
+  it('should reject the send when the keys are invalid', function() {
+    const library = require('../src/index.js');
+    const badKeys = {
+      endpoint: SUBSCRIPTION.endpoint,
+      keys: {auth: SUBSCRIPTION.keys.auth, p256dh: 'abc'}
+    };
+    return library.sendWebPush('Hello', badKeys, {
+      encryptionPool: true,
+      transport: () => Promise.resolve({statusCode: 201})
+    })
+    .then(() => {
+      throw new Error('Expected the send to reject');
+    }, err => {
+      err.code.should.equal('invalid-p256dh');
+    });
+  });
+
+  it('should encrypt on worker threads where they are available', function() {
+    this.timeout(10000);
+    const script = `
+      const library = require(${JSON.stringify(path.join(__dirname, '..',
+        'src', 'index.js'))});
+      const pool = new library.EncryptionPool({size: 2});
+      const options = {unsafeDeterministic: {
+        salt: '${DETERMINISTIC.salt.toString('base64')}',
+        serverPrivateKey: '${DETERMINISTIC.serverPrivateKey.toString('base64')}'
+      }};
+      const subscription = ${JSON.stringify(SUBSCRIPTION)};
+      Promise.all([1, 2, 3].map(() => {
+        return pool.encrypt('Hello, World!', subscription, options);
+      }))
+      .then(results => {
+        const expected = library.encrypt('Hello, World!', subscription,
+          options);
+        console.log(JSON.stringify({
+          usesWorkers: pool.usesWorkers,
+          matches: results.every(result => {
+            return Buffer.isBuffer(result.ciphertext) &&
+              result.ciphertext.equals(expected.ciphertext);
+          })
+        }));
+        return pool.close();
+      });
+    `;
+
+    return new Promise((resolve, reject) => {
+      childProcess.execFile(process.execPath,
+        ['--experimental-worker', '--no-warnings', '-e', script],
+        (err, stdout) => err ? reject(err) : resolve(stdout));
+    })
+    .then(stdout => {
+      JSON.parse(stdout).should.deep.equal({usesWorkers: true, matches: true});
+    });
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const expect = require('chai').expect;
+
+const subscriptionFor = endpoint => ({endpoint: endpoint});
+
+// A send function that records when each message was sent and resolves
+// straight away, unless it's given a response for the message.
+const createSend = responses => {
+  responses = responses || {};
+  const send = message => {
+    send.sent.push({message: message, time: Date.now()});
+    const response = responses[message];
+    if (typeof response === 'function') {
+      return response();
+    }
+    return response instanceof Error ?
+      Promise.reject(response) : Promise.resolve({statusCode: 201});
+  };
+  send.sent = [];
+  return send;
+};
+
+// A promise that the test resolves itself
+const deferred = () => {
+  const result = {};
+  result.promise = new Promise(resolve => {
+    result.resolve = resolve;
+  });
+  return result;
+};
+
+describe('Test SendQueue', function() {
+  it('should pace the messages to each push service', function() {
+    const library = require('../src/index.js');
+    const send = createSend();
+    const queue = new library.SendQueue({
+      rate: 50,
+      burst: 1,
+      origins: {'https://fast.example.com': {rate: 1000, burst: 10}},
+      send: send
+    });
+
+    const started = Date.now();
+    return Promise.all([
+      queue.send('slow 1', subscriptionFor('https://slow.example.com/1')),
+      queue.send('slow 2', subscriptionFor('https://slow.example.com/2')),
+      queue.send('slow 3', subscriptionFor('https://slow.example.com/3')),
+      queue.send('fast 1', subscriptionFor('https://fast.example.com/1')),
+      queue.send('fast 2', subscriptionFor('https://fast.example.com/2'))
+    ])
+    .then(results => {
+      results.every(result => result.statusCode === 201).should.equal(true);
+      const times = {};
+      send.sent.forEach(sent => {
+        times[sent.message] = sent.time - started;
+      });
+
+      // The slow service gets one message every 20ms, but doesn't hold up
+      // the fast one.
+      times['fast 2'].should.be.at.most(times['slow 2']);
+      (times['slow 2'] - times['slow 1']).should.be.at.least(15);
+      (times['slow 3'] - times['slow 2']).should.be.at.least(15);
+    });
+  });
+
+  it('should limit the requests in flight to each push service', function() {
+    const library = require('../src/index.js');
+    const pending = [1, 2, 3].map(deferred);
+    const send = createSend({
+      a: () => pending[0].promise,
+      b: () => pending[1].promise,
+      c: () => pending[2].promise
+    });
+    const queue = new library.SendQueue({concurrency: 2, send: send});
+    const subscription = subscriptionFor('https://push.example.com/abc');
+
+    const sends = ['a', 'b', 'c'].map(message => {
+      return queue.send(message, subscription);
+    });
+    send.sent.length.should.equal(2);
+    queue.stats().should.deep.equal({
+      queued: 1,
+      active: 2,
+      origins: {
+        'https://push.example.com': {queued: 1, active: 2, pausedUntil: null}
+      }
+    });
+
+    pending.forEach(item => item.resolve({statusCode: 201}));
+    return Promise.all(sends).then(() => {
+      send.sent.map(sent => sent.message).should.deep.equal(['a', 'b', 'c']);
+      queue.stats().should.include({queued: 0, active: 0});
+    });
+  });
+
+  it('should wait when a push service sends Retry-After', function() {
+    const library = require('../src/index.js');
+    // Retry-After is in seconds
+    const rateLimited = new library.RateLimitedError('Too many requests',
+      'rate-limited', {statusCode: 429}, 'https://push.example.com/abc', 0.1);
+    const send = createSend({limited: rateLimited});
+    const queue = new library.SendQueue({send: send});
+    const subscription = subscriptionFor('https://push.example.com/abc');
+    const other = subscriptionFor('https://other.example.com/abc');
+
+    return queue.send('limited', subscription)
+    .then(() => {
+      throw new Error('Expected the send to be rate limited');
+    }, err => {
+      err.should.equal(rateLimited);
+      const pausedUntil = queue.stats().origins['https://push.example.com']
+        .pausedUntil;
+      pausedUntil.should.be.an.instanceof(Date);
+
+      return Promise.all([
+        queue.send('after', subscription),
+        queue.send('other', other)
+      ])
+      .then(() => {
+        const times = {};
+        send.sent.forEach(sent => {
+          times[sent.message] = sent.time;
+        });
+        times.after.should.be.at.least(pausedUntil.getTime());
+        times.other.should.be.below(pausedUntil.getTime());
+      });
+    });
+  });
+
+  it('should drain and close', function() {
+    const library = require('../src/index.js');
+    const send = createSend({fails: new Error('Network error')});
+    const queue = new library.SendQueue({rate: 100, burst: 1, send: send});
+    const subscription = subscriptionFor('https://push.example.com/abc');
+
+    const sends = ['a', 'fails', 'b'].map(message => {
+      return queue.send(message, subscription).catch(err => err.message);
+    });
+    return queue.drain()
+    .then(() => {
+      send.sent.length.should.equal(3);
+      return queue.drain();
+    })
+    .then(() => {
+      queue.send('c', subscription);
+      return queue.close();
+    })
+    .then(() => {
+      send.sent.length.should.equal(4);
+      return Promise.all(sends);
+    })
+    .then(results => {
+      results[1].should.equal('Network error');
+      return queue.send('d', subscription).then(() => {
+        throw new Error('Expected the closed queue to reject');
+      }, err => {
+        err.should.be.an.instanceof(library.WebPushError);
+        err.code.should.equal('queue-closed');
+      });
+    });
+  });
+
+  it('should send with a client', function() {
+    const library = require('../src/index.js');
+    const requests = [];
+    const client = new library.WebPushClient({
+      transport: details => {
+        requests.push(details);
+        return Promise.resolve({statusCode: 201, headers: {}});
+      }
+    });
+    const queue = client.createSendQueue({rate: 10});
+
+    return Promise.all([
+      queue.send('', subscriptionFor('https://push.example.com/abc'),
+        {ttl: 60}),
+      queue.send('', {}).catch(err => err)
+    ])
+    .then(results => {
+      results[0].statusCode.should.equal(201);
+      results[1].code.should.equal('missing-endpoint');
+      requests.length.should.equal(1);
+      requests[0].headers.TTL.should.equal('60');
+      return queue.close();
+    });
+  });
+
+  it('should send with sendWebPush() by default', function() {
+    const library = require('../src/index.js');
+    const events = [];
+    const listener = event => events.push(event);
+    library.on('response', listener);
+    const send = queue => queue.send('',
+      subscriptionFor('https://push.example.com/abc'), {
+        transport: () => Promise.resolve({statusCode: 201, headers: {}})
+      });
+
+    return send(new library.SendQueue())
+    .then(response => {
+      response.statusCode.should.equal(201);
+      events.length.should.equal(0);
+
+      // createSendQueue() sends with the default client instead
+      return send(library.createSendQueue());
+    })
+    .then(response => {
+      library.removeListener('response', listener);
+      response.statusCode.should.equal(201);
+      events.map(event => event.statusCode).should.deep.equal([201]);
+    });
+  });
+
+  it('should check its options', function() {
+    const library = require('../src/index.js');
+    const create = options => () => new library.SendQueue(options);
+    expect(create({rate: 0})).to.throw(library.ValidationError, /rate/);
+    expect(create({rate: 'fast'})).to.throw(library.ValidationError, /rate/);
+    expect(create({burst: 1.5})).to.throw(library.ValidationError, /burst/);
+    expect(create({concurrency: 0})).to.throw(library.ValidationError,
+      /concurrency/);
+    expect(create({origins: {'https://push.example.com': {rate: -1}}}))
+      .to.throw(library.ValidationError, /rate/);
+
+    // Fractional rates still allow a message at a time
+    new library.SendQueue({rate: 0.5}).limits.burst.should.equal(1);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const expect = require('chai').expect;
+
+const KEYS = {
+  auth: '8eDyX_uCN0XRhSbY5hs7Hg==',
+  p256dh: 'BCIWgsnyXDv1VkhqL2P7YRBvdeuDnlwAPT2guNhdIoW3IP7GmHh1SMKPLxRf7x8vJy6ZFK3ol2ohgn_-0yP7QQA='
+};
+
+const subscriptionFor = endpoint => ({endpoint: endpoint, keys: KEYS});
+
+const respondWith = response => () => Promise.resolve(response);
+
+describe('Test push service profiles', function() {
+  // The profiles the tests register, which would otherwise match endpoints in
+  // later tests
+  after(() => {
+    const library = require('../src/index.js');
+    ['private', 'replaced', 'ports'].forEach(name => library.unregisterPushService(name));
+  });
+
+  it('should find the built in push services by origin', function() {
+    const library = require('../src/index.js');
+    const serviceFor = endpoint => library.getPushService(endpoint).name;
+
+    serviceFor('https://fcm.googleapis.com/fcm/send/abc').should.equal('fcm');
+    serviceFor('https://android.googleapis.com/gcm/send/abc').should.equal('fcm');
+    serviceFor('https://updates.push.services.mozilla.com/wpush/v2/abc').should.equal('mozilla');
+    serviceFor('https://db5p.notify.windows.com/w/?token=abc').should.equal('wns');
+    serviceFor('https://web.push.apple.com/abc').should.equal('apple');
+
+    serviceFor('https://push.example.com/abc').should.equal('generic');
+    serviceFor('https://evilnotify.windows.com/w/?token=abc').should.equal('generic');
+    serviceFor('http://web.push.apple.com/abc').should.equal('generic');
+    serviceFor('https://web.push.apple.com:8443/abc').should.equal('generic');
+  });
+
+  it('should match origins with or without their default port', function() {
+    const library = require('../src/index.js');
+    const serviceFor = endpoint => library.getPushService(endpoint).name;
+
+    serviceFor('https://fcm.googleapis.com:443/fcm/send/abc').should.equal('fcm');
+    serviceFor('https://fcm.googleapis.com:80/fcm/send/abc').should.equal('generic');
+
+    library.registerPushService({
+      name: 'ports',
+      origins: ['https://secure.example.org:443', 'http://plain.example.org']
+    });
+    serviceFor('https://secure.example.org/abc').should.equal('ports');
+    serviceFor('http://plain.example.org:80/abc').should.equal('ports');
+    serviceFor('http://plain.example.org:8080/abc').should.equal('generic');
+  });
+
+  it('should require VAPID for push services that need it', function() {
+    const library = require('../src/index.js');
+    expect(() => library.generateRequestDetails('Hello, World!',
+      subscriptionFor('https://web.push.apple.com/abc')))
+      .to.throw('The apple push service requires VAPID. Pass options.vapidDetails.');
+
+    const details = library.generateRequestDetails('Hello, World!',
+      subscriptionFor('https://web.push.apple.com/abc'), {
+        vapidDetails: Object.assign({
+          subject: 'mailto:push@example.com'
+        }, library.generateVAPIDKeys())
+      });
+    details.headers.Authorization.should.match(/^vapid t=/);
+  });
+
+  it('should map push service specific errors', function() {
+    const library = require('../src/index.js');
+    const send = (endpoint, response) => {
+      return library.sendWebPush('Hello, World!', subscriptionFor(endpoint), {
+        transport: respondWith(response),
+        vapidDetails: Object.assign({
+          subject: 'mailto:push@example.com'
+        }, library.generateVAPIDKeys())
+      })
+      .then(() => {
+        throw new Error('The promise was expected to reject.');
+      }, err => err);
+    };
+
+    return Promise.all([
+      send('https://fcm.googleapis.com/fcm/send/abc', {
+        statusCode: 400,
+        body: '<HTML><TITLE>UnauthorizedRegistration</TITLE></HTML>'
+      }),
+      send('https://db5p.notify.windows.com/w/?token=abc', {statusCode: 406}),
+      send('https://web.push.apple.com/abc', {
+        statusCode: 400,
+        body: '{"reason":"BadDeviceToken"}'
+      }),
+      send('https://push.example.com/abc', {statusCode: 406})
+    ])
+    .then(results => {
+      results[0].should.be.an.instanceof(library.AuthenticationError);
+      results[1].should.be.an.instanceof(library.RateLimitedError);
+      results[2].should.be.an.instanceof(library.SubscriptionGoneError);
+      results[2].statusCode.should.equal(400);
+      results[3].should.be.an.instanceof(library.InvalidRequestError);
+    });
+  });
+
+  it('should use a registered push service', function() {
+    const library = require('../src/index.js');
+    library.registerPushService({
+      name: 'private',
+      origins: ['https://*.push.example.org'],
+      rewriteEndpoint: endpoint => endpoint.replace('/subscription/', '/send/'),
+      encoding: 'aesgcm',
+      mapError: response => {
+        return response.statusCode === 400 ? 'expired-subscription' : undefined;
+      }
+    });
+
+    const subscription = subscriptionFor('https://eu.push.example.org/subscription/1');
+    library.getPushService(subscription.endpoint).name.should.equal('private');
+    library.getPushService(subscription.endpoint).auth.should.equal('none');
+
+    const details = library.generateRequestDetails('Hello, World!', subscription);
+    details.endpoint.should.equal('https://eu.push.example.org/send/1');
+    details.headers['Content-Encoding'].should.equal('aesgcm');
+
+    return library.sendWebPush('Hello, World!', subscription, {
+      transport: respondWith({statusCode: 400})
+    })
+    .then(() => {
+      throw new Error('The promise was expected to reject.');
+    }, err => {
+      err.should.be.an.instanceof(library.SubscriptionGoneError);
+      err.code.should.equal('expired-subscription');
+    });
+  });
+
+  it('should replace a push service with the same name', function() {
+    const library = require('../src/index.js');
+    const profile = {
+      name: 'replaced',
+      origins: ['https://replaced.example.org'],
+      maxPayloadSize: 100
+    };
+    library.registerPushService(profile);
+    library.registerPushService(Object.assign({}, profile, {
+      origins: ['https://replacement.example.org']
+    }));
+
+    library.getPushService('https://replaced.example.org/1').name.should.equal('generic');
+
+    const subscription = subscriptionFor('https://replacement.example.org/1');
+    expect(() => library.generateRequestDetails('Hello, World!', subscription))
+      .to.throw('The encrypted message is 116 bytes, but the replaced push service only accepts 100 bytes.');
+  });
+
+  it('should unregister a push service', function() {
+    const library = require('../src/index.js');
+    library.registerPushService({
+      name: 'fcm',
+      origins: ['https://fcm.googleapis.com'],
+      auth: 'vapid'
+    });
+    library.getPushService('https://fcm.googleapis.com/fcm/send/1').auth.should.equal('vapid');
+
+    library.unregisterPushService('fcm').should.equal(true);
+    library.getPushService('https://fcm.googleapis.com/fcm/send/1').auth.should.equal('gcm');
+    // Built in profiles can only be replaced
+    library.unregisterPushService('fcm').should.equal(false);
+    library.unregisterPushService('unknown').should.equal(false);
+  });
+
+  it('should throw an error for an invalid push service', function() {
+    const library = require('../src/index.js');
+    const register = profile => () => library.registerPushService(profile);
+
+    expect(register({origins: ['https://a.example.org']}))
+      .to.throw('A push service profile must have a name.');
+    expect(register({name: 'bad', origins: ['https://a.example.org/path']}))
+      .to.throw('The origins of the bad push service must be an array of origins like \'https://push.example.com\'.');
+    expect(register({name: 'bad', origins: ['https://a.example.org'], auth: 'basic'}))
+      .to.throw('Unsupported auth \'basic\' for the bad push service. Expected one of none, vapid, gcm.');
+    expect(register({name: 'bad', origins: ['https://a.example.org'], mapError: 'gone'}))
+      .to.throw('mapError of the bad push service must be a function.');
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ub64 = buffer => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=/g, '');
+
+const createSubscription = name => {
+  const ecdh = crypto.createECDH('prime256v1');
+  return {
+    endpoint: `https://push.example.com/${name}`,
+    keys: {
+      p256dh: ub64(ecdh.generateKeys()),
+      auth: ub64(crypto.randomBytes(16))
+    }
+  };
+};
+
+// A transport that responds with the status code for each endpoint's name,
+// or 201 if it doesn't have one.
+const createTransport = statusCodes => {
+  const transport = details => {
+    const name = details.endpoint.split('/').pop();
+    transport.sent.push(name);
+    return Promise.resolve({statusCode: statusCodes[name] || 201, headers: {}});
+  };
+  transport.sent = [];
+  return transport;
+};
+
+const expectRejection = (promise, code) => {
+  return promise.then(() => {
+    throw new Error('Expected a rejection');
+  }, err => {
+    err.code.should.equal(code);
+    return err;
+  });
+};
+
+const tempFile = name => path.join(os.tmpdir(),
+  `subscriptions-${process.pid}-${name}.json`);
+
+describe('Test subscription stores', function() {
+  it('should add, list and remove subscriptions', function() {
+    const library = require('../src/index.js');
+    const store = new library.MemorySubscriptionStore();
+    const subscriptions = ['a', 'b', 'c'].map(createSubscription);
+
+    return Promise.all([
+      store.add(subscriptions[0], {user: 'alice', tags: ['news']}),
+      store.add(JSON.stringify(subscriptions[1]), {user: 'alice'}),
+      store.add(subscriptions[2], {user: 'bob', tags: ['news', 'sport']})
+    ])
+    .then(records => {
+      records[0].should.deep.equal({
+        subscription: Object.assign({expirationTime: null}, subscriptions[0]),
+        user: 'alice',
+        tags: ['news'],
+        failures: 0
+      });
+
+      return Promise.all([
+        store.list({user: 'alice'}),
+        store.list({tag: 'news'}),
+        store.list({user: 'bob', tag: 'sport'}),
+        store.list({user: 'carol'}),
+        store.list()
+      ]);
+    })
+    .then(lists => {
+      const endpoints = lists.map(list => list.map(record => {
+        return record.subscription.endpoint.split('/').pop();
+      }));
+      endpoints.should.deep.equal([['a', 'b'], ['a', 'c'], ['c'], [],
+        ['a', 'b', 'c']]);
+
+      // The records are copies
+      lists[1][1].tags.push('changed');
+      return Promise.all([
+        store.remove(subscriptions[0].endpoint),
+        store.remove(subscriptions[0].endpoint),
+        // Adding the same endpoint again replaces it
+        store.add(subscriptions[1], {user: 'bob'})
+      ]);
+    })
+    .then(results => {
+      results[0].should.equal(true);
+      results[1].should.equal(false);
+      return store.list({user: 'bob'});
+    })
+    .then(records => {
+      records.map(record => record.tags).should.deep.equal([[],
+        ['news', 'sport']]);
+    });
+  });
+
+  it('should reject invalid subscriptions', function() {
+    const library = require('../src/index.js');
+    const store = new library.MemorySubscriptionStore();
+    const subscription = createSubscription('a');
+
+    return Promise.all([
+      expectRejection(store.add({endpoint: 'http://push.example.com/a',
+        keys: subscription.keys}), 'invalid-endpoint'),
+      expectRejection(store.add(subscription, {user: 1}), 'invalid-user'),
+      expectRejection(store.add(subscription, {tags: 'news'}), 'invalid-tags'),
+      expectRejection(new library.SubscriptionStore().list(), 'not-implemented')
+    ])
+    .then(errors => {
+      errors[0].should.be.an.instanceof(library.InvalidSubscriptionError);
+      return store.list();
+    })
+    .then(records => records.length.should.equal(0));
+  });
+
+  it('should count failures in a row', function() {
+    const library = require('../src/index.js');
+    const store = new library.MemorySubscriptionStore();
+    const subscription = createSubscription('a');
+
+    return store.add(subscription)
+    .then(() => store.markFailed(subscription.endpoint))
+    .then(() => store.markFailed(subscription.endpoint))
+    .then(failures => {
+      failures.should.equal(2);
+      return store.markSucceeded(subscription.endpoint);
+    })
+    .then(() => store.markFailed(subscription.endpoint))
+    .then(failures => {
+      failures.should.equal(1);
+      return store.markFailed('https://push.example.com/unknown');
+    })
+    .then(failures => failures.should.equal(0));
+  });
+
+  it('should update and remove many subscriptions at once', function() {
+    const library = require('../src/index.js');
+    const store = new library.MemorySubscriptionStore();
+    const subscriptions = ['a', 'b', 'c'].map(createSubscription);
+    const endpoints = subscriptions.map(subscription => subscription.endpoint);
+
+    return Promise.all(subscriptions.map(subscription => {
+      return store.add(subscription);
+    }))
+    .then(() => store.markFailed(endpoints[0]))
+    .then(() => store.updateMany({
+      succeeded: [endpoints[0]],
+      failed: [endpoints[1], endpoints[1], 'https://push.example.com/unknown']
+    }))
+    .then(failures => {
+      failures.should.deep.equal([1, 2, 0]);
+      return store.removeMany([endpoints[0], endpoints[2],
+        'https://push.example.com/unknown']);
+    })
+    .then(removed => {
+      removed.should.deep.equal([endpoints[0], endpoints[2]]);
+      return store.list();
+    })
+    .then(records => {
+      records.map(record => record.subscription.endpoint)
+        .should.deep.equal([endpoints[1]]);
+      records[0].failures.should.equal(2);
+    });
+  });
+
+  it('should fall back to single changes in a custom store', function() {
+    const library = require('../src/index.js');
+    const memory = new library.MemorySubscriptionStore();
+    const store = new library.SubscriptionStore();
+    store.remove = endpoint => memory.remove(endpoint);
+    store.markFailed = endpoint => memory.markFailed(endpoint);
+    store.markSucceeded = endpoint => memory.markSucceeded(endpoint);
+    const subscription = createSubscription('a');
+
+    return memory.add(subscription)
+    .then(() => store.updateMany({failed: [subscription.endpoint]}))
+    .then(failures => {
+      failures.should.deep.equal([1]);
+      return store.removeMany([subscription.endpoint,
+        'https://push.example.com/unknown']);
+    })
+    .then(removed => removed.should.deep.equal([subscription.endpoint]));
+  });
+
+  it('should save subscriptions to a JSON file', function() {
+    const library = require('../src/index.js');
+    const file = tempFile('save');
+    const subscriptions = ['a', 'b'].map(createSubscription);
+    const store = new library.JsonFileSubscriptionStore(file);
+
+    return Promise.all([
+      store.add(subscriptions[0], {user: 'alice'}),
+      store.add(subscriptions[1], {user: 'bob'}),
+      store.markFailed(subscriptions[1].endpoint)
+    ])
+    .then(() => {
+      const reopened = new library.JsonFileSubscriptionStore(file);
+      return reopened.list();
+    })
+    .then(records => {
+      records.map(record => record.user).should.deep.equal(['alice', 'bob']);
+      records[1].failures.should.equal(1);
+      fs.readdirSync(os.tmpdir()).filter(name => {
+        return name.startsWith(path.basename(file)) && name.endsWith('.tmp');
+      }).length.should.equal(0);
+      fs.unlinkSync(file);
+    });
+  });
+
+  it('should reject a file that is not a subscription store', function() {
+    const library = require('../src/index.js');
+    const file = tempFile('invalid');
+    fs.writeFileSync(file, 'not json');
+
+    return expectRejection(new library.JsonFileSubscriptionStore(file).list(),
+      'invalid-file')
+    .then(() => fs.unlinkSync(file));
+  });
+
+  it('should remove gone subscriptions when sending to a user', function() {
+    const library = require('../src/index.js');
+    const store = new library.MemorySubscriptionStore();
+    const transport = createTransport({gone: 410, missing: 404, down: 503,
+      rejected: 400});
+    const names = ['ok', 'gone', 'missing', 'down', 'rejected'];
+
+    return Promise.all(names.map(name => {
+      return store.add(createSubscription(name), {user: 'alice'});
+    }))
+    .then(() => store.add(createSubscription('other'), {user: 'bob'}))
+    .then(() => library.sendToUser(store, 'alice', 'Hello', {
+      transport: transport
+    }))
+    .then(report => {
+      transport.sent.should.deep.equal(names);
+      report.succeeded.should.equal(1);
+      report.gone.should.equal(2);
+      report.failed.should.equal(2);
+      report.removed.should.deep.equal([
+        'https://push.example.com/gone',
+        'https://push.example.com/missing'
+      ]);
+      return store.list();
+    })
+    .then(records => {
+      records.map(record => {
+        return [record.subscription.endpoint.split('/').pop(), record.failures];
+      })
+      .should.deep.equal([['ok', 0], ['down', 1], ['rejected', 0],
+        ['other', 0]]);
+    });
+  });
+
+  it('should remove subscriptions after too many 5xx responses', function() {
+    const library = require('../src/index.js');
+    const store = new library.MemorySubscriptionStore();
+    const statusCodes = {flaky: 500, down: 503};
+    const client = new library.WebPushClient({
+      transport: createTransport(statusCodes)
+    });
+    const send = () => client.sendToTag(store, 'news', '', {maxFailures: 2});
+
+    return Promise.all(['flaky', 'down'].map(name => {
+      return store.add(createSubscription(name), {tags: ['news']});
+    }))
+    .then(send)
+    .then(report => {
+      report.removed.length.should.equal(0);
+      // A success resets the count
+      statusCodes.flaky = 201;
+      return send();
+    })
+    .then(report => {
+      report.removed.should.deep.equal(['https://push.example.com/down']);
+      statusCodes.flaky = 500;
+      return send();
+    })
+    .then(report => {
+      report.removed.length.should.equal(0);
+      return store.list();
+    })
+    .then(records => {
+      records.length.should.equal(1);
+      records[0].failures.should.equal(1);
+    });
+  });
+
+  it('should write a JSON file once per change to a batch', function() {
+    const library = require('../src/index.js');
+    const file = tempFile('batch');
+    const store = new library.JsonFileSubscriptionStore(file);
+    const transport = createTransport({gone: 410, missing: 404, down: 503,
+      broken: 500});
+    const names = ['ok', 'gone', 'missing', 'down', 'broken'];
+    let save;
+
+    return Promise.all(names.map(name => {
+      return store.add(createSubscription(name), {user: 'alice'});
+    }))
+    .then(() => {
+      save = sinon.spy(store, 'save');
+      return library.sendToUser(store, 'alice', 'Hello', {
+        transport: transport,
+        maxFailures: 1
+      });
+    })
+    .then(report => {
+      save.restore();
+      // Once to count the failures and once to remove the subscriptions
+      save.callCount.should.equal(2);
+      report.removed.should.deep.equal(['gone', 'missing', 'down', 'broken']
+        .map(name => `https://push.example.com/${name}`));
+      return new library.JsonFileSubscriptionStore(file).list();
+    })
+    .then(records => {
+      records.map(record => record.subscription.endpoint)
+        .should.deep.equal(['https://push.example.com/ok']);
+      fs.unlinkSync(file);
+    });
+  });
+
+  it('should check the store and options', function() {
+    const library = require('../src/index.js');
+    const store = new library.MemorySubscriptionStore();
+    return Promise.all([
+      expectRejection(library.sendToUser({}, 'alice', 'Hello'),
+        'invalid-store'),
+      expectRejection(library.sendToUser(store, 'alice', 'Hello',
+        {maxFailures: 0}), 'invalid-max-failures')
+    ]);
+  });
+});
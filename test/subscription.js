@@ -0,0 +1,151 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const expect = require('chai').expect;
+
+const P256DH = 'BCIWgsnyXDv1VkhqL2P7YRBvdeuDnlwAPT2guNhdIoW3IP7GmHh1SMKPLxRf7x8vJy6ZFK3ol2ohgn_-0yP7QQA';
+const AUTH = '8eDyX_uCN0XRhSbY5hs7Hg';
+
+const SUBSCRIPTION = {
+  endpoint: 'https://example-endpoint.com/example/1234',
+  expirationTime: null,
+  keys: {
+    p256dh: P256DH,
+    auth: AUTH
+  }
+};
+
+const withChanges = changes => {
+  return Object.assign({}, SUBSCRIPTION, changes);
+};
+
+const withKeys = keys => {
+  return withChanges({keys: Object.assign({}, SUBSCRIPTION.keys, keys)});
+};
+
+describe('Test parseSubscription()', function() {
+  it('should parse a subscription object', function() {
+    const library = require('../src/index.js');
+    library.parseSubscription(SUBSCRIPTION).should.deep.equal(SUBSCRIPTION);
+  });
+
+  it('should parse a subscription JSON string', function() {
+    const library = require('../src/index.js');
+    const json = JSON.stringify(withChanges({expirationTime: 1500000000000}));
+    library.parseSubscription(json).should.deep.equal(
+      withChanges({expirationTime: 1500000000000}));
+  });
+
+  it('should normalize the subscription', function() {
+    const library = require('../src/index.js');
+    const subscription = withKeys({
+      p256dh: `${P256DH}=`,
+      auth: `${AUTH}==`
+    });
+    delete subscription.expirationTime;
+    subscription.extra = 'ignored';
+
+    library.parseSubscription(subscription).should.deep.equal(SUBSCRIPTION);
+  });
+
+  it('should throw an error with the field that is invalid', function() {
+    const library = require('../src/index.js');
+    const invalid = [
+      ['{"endpoint":', 'invalid-subscription', ''],
+      [[], 'invalid-subscription', ''],
+      [withChanges({endpoint: undefined}), 'missing-endpoint', 'endpoint'],
+      [withChanges({endpoint: 'http://example.com/1'}), 'invalid-endpoint',
+        'endpoint'],
+      [withChanges({endpoint: 'not a url'}), 'invalid-endpoint', 'endpoint'],
+      [withChanges({expirationTime: '2017-01-01'}), 'invalid-expiration-time',
+        'expirationTime'],
+      [withChanges({keys: undefined}), 'missing-keys', 'keys'],
+      [withKeys({auth: undefined}), 'missing-keys', 'keys.auth'],
+      [withKeys({auth: '8eDyX/uCN0XRhSbY5hs7Hg'}), 'invalid-auth-secret',
+        'keys.auth'],
+      [withKeys({auth: '8eDyX_uCN0XRhSbY5hs7'}), 'invalid-auth-secret',
+        'keys.auth'],
+      [withKeys({p256dh: P256DH.replace('_', '+')}), 'invalid-p256dh',
+        'keys.p256dh'],
+      [withKeys({p256dh: P256DH.replace('BC', 'BD')}), 'invalid-p256dh',
+        'keys.p256dh'],
+      [withKeys({p256dh: P256DH.slice(0, 44)}), 'invalid-p256dh',
+        'keys.p256dh']
+    ];
+
+    invalid.forEach(test => {
+      let error;
+      try {
+        library.parseSubscription(test[0]);
+      } catch (err) {
+        error = err;
+      }
+      expect(error, test[1]).to.be.an.instanceof(
+        library.InvalidSubscriptionError);
+      error.should.be.an.instanceof(library.ValidationError);
+      error.code.should.equal(test[1]);
+      error.field.should.equal(test[2]);
+    });
+  });
+
+  it('should only allow http endpoints on loopback hosts when asked', function() {
+    const library = require('../src/index.js');
+    const options = {allowHttpLoopback: true};
+    ['http://127.0.0.1:8080/1', 'http://localhost/1', 'http://[::1]:8080/1'].forEach(endpoint => {
+      library.validateSubscription(withChanges({endpoint: endpoint}))
+        .map(error => error.code).should.deep.equal(['invalid-endpoint']);
+      library.validateSubscription(withChanges({endpoint: endpoint}), options)
+        .should.deep.equal([]);
+    });
+    library.validateSubscription(withChanges({endpoint: 'http://example.com/1'}), options)
+      .map(error => error.code).should.deep.equal(['invalid-endpoint']);
+  });
+});
+
+describe('Test validateSubscription()', function() {
+  it('should return no errors for a valid subscription', function() {
+    const library = require('../src/index.js');
+    library.validateSubscription(SUBSCRIPTION).should.deep.equal([]);
+  });
+
+  it('should return an error for each invalid field', function() {
+    const library = require('../src/index.js');
+    const errors = library.validateSubscription({
+      endpoint: 'http://example.com/1',
+      keys: {
+        p256dh: 'AAAA',
+        auth: AUTH
+      }
+    });
+    errors.map(error => error.field).should.deep.equal([
+      'endpoint', 'keys.p256dh'
+    ]);
+  });
+});
+
+describe('Test encrypt() with an invalid p256dh key', function() {
+  it('should throw a validation error for a point not on the curve', function() {
+    const library = require('../src/index.js');
+    expect(() => {
+      library.encrypt('Hello, World!',
+        withKeys({p256dh: P256DH.replace('BC', 'BD')}));
+    }).to.throw('Subscription\'s client key (p256dh) is not a point on the ' +
+      'P-256 curve.');
+  });
+});
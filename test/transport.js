@@ -0,0 +1,229 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('chai').should();
+const http = require('http');
+const net = require('net');
+
+describe('Test the default transport', function() {
+  let server;
+  let serverURL;
+  let received;
+  let responseDelay;
+
+  before(done => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: Buffer.concat(chunks)
+        });
+        setTimeout(() => {
+          res.writeHead(201, 'Created', {TTL: '60'});
+          res.end('Response body');
+        }, responseDelay);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      serverURL = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(done => server.close(done));
+
+  beforeEach(() => {
+    received = [];
+    responseDelay = 0;
+  });
+
+  const DETAILS = {
+    method: 'POST',
+    headers: {
+      'TTL': '60',
+      'Content-Encoding': 'aes128gcm'
+    },
+    body: new Buffer('encrypted body')
+  };
+
+  const withEndpoint = path => Object.assign({}, DETAILS, {
+    endpoint: serverURL + path
+  });
+
+  it('should send the request and resolve with the response', function() {
+    const library = require('../src/index.js');
+    return library.httpsTransport(withEndpoint('/push/1234'))
+    .then(response => {
+      response.statusCode.should.equal(201);
+      response.statusMessage.should.equal('Created');
+      response.headers.ttl.should.equal('60');
+      response.body.should.equal('Response body');
+
+      received.should.have.length(1);
+      received[0].method.should.equal('POST');
+      received[0].url.should.equal('/push/1234');
+      received[0].headers.ttl.should.equal('60');
+      received[0].headers['content-encoding'].should.equal('aes128gcm');
+      received[0].headers['content-length'].should.equal('14');
+      received[0].body.toString().should.equal('encrypted body');
+    });
+  });
+
+  it('should reject when the request times out', function() {
+    const library = require('../src/index.js');
+    responseDelay = 200;
+    return library.httpsTransport(withEndpoint('/slow'), {timeout: 50})
+    .then(() => {
+      throw new Error('The promise was expected to reject.');
+    }, err => {
+      err.code.should.equal('ETIMEDOUT');
+      err.message.should.equal('The request timed out after 50ms.');
+    });
+  });
+
+  it('should use the given agent', function() {
+    const library = require('../src/index.js');
+    const agent = new http.Agent({keepAlive: true, maxSockets: 1});
+    return library.httpsTransport(withEndpoint('/1'), {agent: agent})
+    .then(() => library.httpsTransport(withEndpoint('/2'), {agent: agent}))
+    .then(() => {
+      received.should.have.length(2);
+      received[1].headers.connection.should.equal('keep-alive');
+      agent.destroy();
+    });
+  });
+
+  // A CONNECT proxy that records each tunnel it opens, and waits for
+  // connectDelay milliseconds before opening it
+  const createProxy = connectDelay => {
+    const proxy = http.createServer();
+    proxy.connects = [];
+    proxy.tunnels = [];
+    proxy.stop = () => {
+      proxy.tunnels.forEach(socket => socket.destroy());
+      proxy.close();
+    };
+    proxy.on('connect', (req, socket) => {
+      proxy.tunnels.push(socket);
+      proxy.connects.push({
+        url: req.url,
+        authorization: req.headers['proxy-authorization']
+      });
+      const parts = req.url.split(':');
+      setTimeout(() => {
+        if (socket.destroyed) {
+          return;
+        }
+        const upstream = net.connect(parseInt(parts[1], 10), parts[0], () => {
+          socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+          upstream.pipe(socket);
+          socket.pipe(upstream);
+        });
+        socket.on('error', () => upstream.destroy());
+        socket.on('close', () => upstream.destroy());
+      }, connectDelay || 0);
+    });
+    return new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve))
+    .then(() => {
+      proxy.url = `http://127.0.0.1:${proxy.address().port}`;
+      return proxy;
+    });
+  };
+
+  it('should tunnel the request through a proxy', function() {
+    const library = require('../src/index.js');
+    let proxy;
+    return createProxy()
+    .then(result => {
+      proxy = result;
+      return library.httpsTransport(withEndpoint('/proxied'), {
+        proxy: proxy.url.replace('http://', 'http://user:pass@')
+      });
+    })
+    .then(response => {
+      response.statusCode.should.equal(201);
+      proxy.connects.should.deep.equal([{
+        url: serverURL.replace('http://', ''),
+        authorization: `Basic ${new Buffer('user:pass').toString('base64')}`
+      }]);
+      received[0].url.should.equal('/proxied');
+      proxy.stop();
+    });
+  });
+
+  it('should reuse tunnels with an agent and a proxy', function() {
+    const library = require('../src/index.js');
+    const agent = new http.Agent({keepAlive: true, maxSockets: 1});
+    let proxy;
+    return createProxy()
+    .then(result => {
+      proxy = result;
+      const options = {proxy: proxy.url, agent: agent};
+      return library.httpsTransport(withEndpoint('/1'), options)
+      .then(() => library.httpsTransport(withEndpoint('/2'), options));
+    })
+    .then(response => {
+      response.statusCode.should.equal(201);
+      received.map(request => request.url).should.deep.equal(['/1', '/2']);
+      received[1].headers.connection.should.equal('keep-alive');
+      proxy.connects.length.should.equal(1);
+      agent.destroy();
+      proxy.stop();
+    });
+  });
+
+  it('should not send the request if the proxy connects too late', function() {
+    const library = require('../src/index.js');
+    let proxy;
+    return createProxy(100)
+    .then(result => {
+      proxy = result;
+      return library.httpsTransport(withEndpoint('/late'), {
+        proxy: proxy.url,
+        timeout: 20
+      });
+    })
+    .then(() => {
+      throw new Error('The promise was expected to reject.');
+    }, err => {
+      err.code.should.equal('ETIMEDOUT');
+      // Give the proxy time to open the tunnel it was asked for
+      return new Promise(resolve => setTimeout(resolve, 200));
+    })
+    .then(() => {
+      proxy.connects.length.should.equal(1);
+      received.should.have.length(0);
+      proxy.stop();
+    });
+  });
+
+  it('should be used by sendWebPush()', function() {
+    const library = require('../src/index.js');
+    return library.sendWebPush(null, {endpoint: serverURL + '/send'})
+    .then(response => {
+      response.statusCode.should.equal(201);
+      response.body.should.equal('Response body');
+      response.ttl.should.equal(60);
+      received[0].url.should.equal('/send');
+    });
+  });
+});